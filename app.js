@@ -1,35 +1,46 @@
 // ============================================
 // Constants
 // ============================================
-const CORS_PROXY = 'https://corsproxy.io/?';
-const YAHOO_API_BASE = 'https://query1.finance.yahoo.com/v8/finance/chart/';
-const BATCH_SIZE = 5;
-const BATCH_DELAY_MS = 1500;
-
-// XLS の列インデックス (data_j.xls 形式)
-const COL = {
-    DATE: 0,       // 日付
-    CODE: 1,       // コード
-    NAME: 2,       // 銘柄名
-    MARKET: 3,     // 市場・商品区分
-    SEC33_CODE: 4, // 33業種コード
-    SEC33_NAME: 5, // 33業種区分
-    SEC17_CODE: 6, // 17業種コード
-    SEC17_NAME: 7, // 17業種区分
-    SCALE_CODE: 8, // 規模コード
-    SCALE_NAME: 9, // 規模区分
-};
+const PROVIDER_SETTINGS_KEY = 'kabukaview.providerSettings';
+const DISPLAY_SETTINGS_KEY = 'kabukaview.displaySettings';
+const HOLDINGS_KEY = 'kabukaview.holdings';
+const SCREENS_KEY = 'kabukaview.screens';
+const TICKER_OVERRIDES_KEY = 'kabukaview.tickerOverrides';
+const JPX_CALENDAR_KEY = 'kabukaview.jpxCalendar';
+const SNAPSHOT_LIMIT = 30; // 保存するスナップショットの上限（古いものから削除）
 
 // ============================================
 // State
 // ============================================
 let xlsData = null;        // { header: string[], rows: any[][] }
-let closingPrices = {};    // { stockCode: { price, change1d, change7d, change30d, change90d, change180d, error } }
+let closingPrices = {};    // { stockCode: { price, volume, [periodKey]: 変動率, vwap, ..., error } }
+let priceSeries = new Map(); // stockCode → { daily: bar[], intraday: bar[] } 詳細パネルのチャート用（直近に開いた銘柄のみ）
 let errorMessages = [];
 let isFetching = false;
-let sortColIdx = -1;
+let sortColKey = null; // ソート中の列の key（DISPLAY_COLS は COL の番号、追加列は文字列）
 let sortAsc = true;
 let priceTargetDate = null; // 終値取得に使用した日付 (YYYYMMDD 文字列)
+let currentFile = null;     // 読み込んだファイル { name, size }（入力が複数なら名前は「… ほかN件」、サイズは合計）
+let inputSources = [];      // 一覧のもとになった入力 [{ label, size, kind, data | codes, skipped }]
+let jpxMaster = null;       // 入力の補完に使う JPX の銘柄一覧 { label, rows, listDate, savedAt }
+let filters = createEmptyFilters(); // 絞り込み条件 { facets: { [COL のキー]: Set }, query }
+let sectorGroupKey = 'SEC33_NAME';  // 業種別サマリーの集計単位
+let sectorSort = { key: 'count', asc: false };
+let providerSettings = loadProviderSettings(); // { type, proxyBase, apiBase, record, useCache }
+let displaySettings = loadDisplaySettings();   // { showIndicators, showFundamentals, periods, benchmark, export* }
+let fixtureBundle = null;   // フィクスチャプロバイダー用に読み込んだ記録データ
+let recordingBundle = null; // 記録モードで収集中のデータ
+let fetchRun = null;        // 実行中の一括取得 { abortController, pauseGate }
+let fetchGeneration = 0;    // 一括取得ごとの番号（一覧を読み込み直すと進め、前の取得の結果を捨てる）
+let holdings = loadHoldings(); // [{ code, shares, avgCost, account }]
+let portfolio = null;          // computePortfolio() の結果（終値・保有銘柄の変更時に更新）
+let savedScreens = loadSavedScreens();  // 保存済みスクリーン [{ name, match, groups }]
+let screener = { draft: createEmptyScreen(), mode: 'off' }; // 編集中のスクリーンと適用方法（off / highlight / filter）
+let lastRun = null;          // 直近の取得 { targetDateStr, startedAt, finishedAt, provider, cancelled, snapshotId }
+let benchmarkData = null;   // 直近の取得で使ったベンチマーク { ticker, targetDateStr, prices, closeByYmd }
+let tickerOverrides = loadTickerOverrides(); // ティッカーの上書き { コード: シンボル（空文字で取得対象外） }
+setCalendarUpdate(loadCalendarUpdate());     // 保存済みの休場日の更新を JPX カレンダーに反映
+const requestScheduler = createRequestScheduler(); // 全リクエストで共有するスケジューラー
 
 // ============================================
 // DOM References
@@ -40,9 +51,35 @@ const dom = {
     dropZone: $('dropZone'),
     fileInput: $('fileInput'),
     fileInfo: $('fileInfo'),
+    addFileInput: $('addFileInput'),
+    codePasteText: $('codePasteText'),
+    codePasteBtn: $('codePasteBtn'),
+    masterStatus: $('masterStatus'),
+    parseReportTitle: $('parseReportTitle'),
+    unmatchedLog: $('unmatchedLog'),
+    sessionNotice: $('sessionNotice'),
     fileName: $('fileName'),
     fileSize: $('fileSize'),
     rowCount: $('rowCount'),
+    skippedCount: $('skippedCount'),
+    parseReport: $('parseReport'),
+    mappingSummary: $('mappingSummary'),
+    skippedLog: $('skippedLog'),
+    remapBtn: $('remapBtn'),
+    mappingDialog: $('mappingDialog'),
+    mappingHint: $('mappingHint'),
+    mappingHeaderRow: $('mappingHeaderRow'),
+    mappingGrid: $('mappingGrid'),
+    mappingApplyBtn: $('mappingApplyBtn'),
+    filterSection: $('filterSection'),
+    filterFacets: $('filterFacets'),
+    filterSearch: $('filterSearch'),
+    filterSummary: $('filterSummary'),
+    filterClearBtn: $('filterClearBtn'),
+    sectorSection: $('sectorSection'),
+    sectorGroupToggle: $('sectorGroupToggle'),
+    sectorHead: $('sectorHead'),
+    sectorBody: $('sectorBody'),
     fileRemove: $('fileRemove'),
     actionSection: $('actionSection'),
     fetchBtn: $('fetchBtn'),
@@ -52,6 +89,13 @@ const dom = {
     progressLabel: $('progressLabel'),
     progressValue: $('progressValue'),
     progressDetail: $('progressDetail'),
+    progressRate: $('progressRate'),
+    dateModeSelect: $('dateModeSelect'),
+    targetDateInput: $('targetDateInput'),
+    marketStatus: $('marketStatus'),
+    calendarStatus: $('calendarStatus'),
+    calendarInput: $('calendarInput'),
+    calendarResetBtn: $('calendarResetBtn'),
     resultsSection: $('resultsSection'),
     successCount: $('successCount'),
     naCount: $('naCount'),
@@ -62,471 +106,550 @@ const dom = {
     tableRowCount: $('tableRowCount'),
     tableHead: $('tableHead'),
     tableBody: $('tableBody'),
+    tableWrapper: $('tableWrapper'),
+    providerSelect: $('providerSelect'),
+    proxyInput: $('proxyInput'),
+    apiBaseInput: $('apiBaseInput'),
+    fixtureInput: $('fixtureInput'),
+    fixtureStatus: $('fixtureStatus'),
+    recordToggle: $('recordToggle'),
+    recordDownloadBtn: $('recordDownloadBtn'),
+    retryBtn: $('retryBtn'),
+    retryCount: $('retryCount'),
+    progressTitle: $('progressTitle'),
+    pauseBtn: $('pauseBtn'),
+    cancelBtn: $('cancelBtn'),
+    cacheToggle: $('cacheToggle'),
+    cacheStatus: $('cacheStatus'),
+    cacheCodeInput: $('cacheCodeInput'),
+    tickerOverridesStatus: $('tickerOverridesStatus'),
+    tickerOverridesText: $('tickerOverridesText'),
+    tickerOverridesInput: $('tickerOverridesInput'),
+    tickerOverridesSaveBtn: $('tickerOverridesSaveBtn'),
+    tickerOverridesExportBtn: $('tickerOverridesExportBtn'),
+    cacheDeleteBtn: $('cacheDeleteBtn'),
+    cacheClearBtn: $('cacheClearBtn'),
+    detailDialog: $('detailDialog'),
+    detailTitle: $('detailTitle'),
+    detailAttrs: $('detailAttrs'),
+    detailCloseBtn: $('detailCloseBtn'),
+    detailMetrics: $('detailMetrics'),
+    detailChartToggle: $('detailChartToggle'),
+    dailyChart: $('dailyChart'),
+    intradayChart: $('intradayChart'),
+    detailStatus: $('detailStatus'),
+    indicatorToggle: $('indicatorToggle'),
+    fundamentalsToggle: $('fundamentalsToggle'),
+    periodList: $('periodList'),
+    periodTypeSelect: $('periodTypeSelect'),
+    periodNInput: $('periodNInput'),
+    periodDateInput: $('periodDateInput'),
+    periodAddBtn: $('periodAddBtn'),
+    periodResetBtn: $('periodResetBtn'),
+    benchmarkInput: $('benchmarkInput'),
+    benchmarkCard: $('benchmarkCard'),
+    benchmarkValue: $('benchmarkValue'),
+    benchmarkLabel: $('benchmarkLabel'),
+    benchmarkChanges: $('benchmarkChanges'),
+    holdingsOnlyToggle: $('holdingsOnlyToggle'),
+    portfolioSection: $('portfolioSection'),
+    portfolioSummary: $('portfolioSummary'),
+    holdingCodeInput: $('holdingCodeInput'),
+    holdingSharesInput: $('holdingSharesInput'),
+    holdingCostInput: $('holdingCostInput'),
+    holdingAccountInput: $('holdingAccountInput'),
+    holdingAddBtn: $('holdingAddBtn'),
+    holdingsInput: $('holdingsInput'),
+    holdingsExportBtn: $('holdingsExportBtn'),
+    holdingsBody: $('holdingsBody'),
+    portfolioSectorWrapper: $('portfolioSectorWrapper'),
+    portfolioSectorBody: $('portfolioSectorBody'),
+    screenerSection: $('screenerSection'),
+    screenSelect: $('screenSelect'),
+    screenNameInput: $('screenNameInput'),
+    screenSaveBtn: $('screenSaveBtn'),
+    screenDeleteBtn: $('screenDeleteBtn'),
+    screenModeSelect: $('screenModeSelect'),
+    screenStatus: $('screenStatus'),
+    screenMatch: $('screenMatch'),
+    screenGroups: $('screenGroups'),
+    screenAddGroupBtn: $('screenAddGroupBtn'),
+    exportBtn: $('exportBtn'),
+    exportDialog: $('exportDialog'),
+    exportFormatSelect: $('exportFormatSelect'),
+    exportMissingSelect: $('exportMissingSelect'),
+    exportColumns: $('exportColumns'),
+    exportSelectAllBtn: $('exportSelectAllBtn'),
+    exportSelectNoneBtn: $('exportSelectNoneBtn'),
+    exportHint: $('exportHint'),
+    exportRunBtn: $('exportRunBtn'),
+    historySection: $('historySection'),
+    historyBody: $('historyBody'),
+    historySelectA: $('historySelectA'),
+    historySelectB: $('historySelectB'),
+    historyRankSelect: $('historyRankSelect'),
+    historyCompareBtn: $('historyCompareBtn'),
+    historySaveListBtn: $('historySaveListBtn'),
+    historyDiff: $('historyDiff'),
 };
 
 // ============================================
-// XLS Parsing (SheetJS)
+// Provider Selection
 // ============================================
 
-/**
- * XLS/XLSX ファイルを解析して { header, rows } を返す
- */
-function parseXLS(arrayBuffer) {
-    const workbook = XLSX.read(new Uint8Array(arrayBuffer), { type: 'array' });
-    const sheetName = workbook.SheetNames[0];
-    const sheet = workbook.Sheets[sheetName];
-
-    // JSON 形式で取得（ヘッダー付き）
-    const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
-
-    if (jsonData.length < 2) {
-        throw new Error('データが不足しています（ヘッダー＋最低1行のデータが必要です）。');
+function loadProviderSettings() {
+    const defaults = { type: 'yahoo', proxyBase: CORS_PROXY, apiBase: YAHOO_API_BASE, record: false, useCache: true };
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROVIDER_SETTINGS_KEY) || '{}');
+        return { ...defaults, ...saved };
+    } catch (e) {
+        console.warn('Failed to load provider settings', e);
+        return defaults;
     }
-
-    const header = jsonData[0].map(h => String(h).trim());
-    const rows = jsonData.slice(1).filter(row => row.some(cell => cell !== ''));
-
-    return { header, rows };
 }
 
-// ============================================
-// Stock Code Utilities
-// ============================================
-
-/**
- * コード列から Yahoo Finance 用ティッカーを生成
- * 例: 1301 → "1301.T"
- */
-function toTicker(rawCode) {
-    const code = String(rawCode).trim();
-    if (code.length < 4) return null;
-
-    // 先頭4文字を取得
-    const ticker = code.substring(0, 4);
-
-    // 英数字のみか確認
-    if (!/^[A-Za-z0-9]+$/.test(ticker)) return null;
-
-    return ticker + '.T';
+function saveProviderSettings() {
+    try {
+        localStorage.setItem(PROVIDER_SETTINGS_KEY, JSON.stringify(providerSettings));
+    } catch (e) {
+        console.warn('Failed to save provider settings', e);
+    }
 }
 
 /**
- * データからユニークな銘柄コード一覧を取得
+ * プロバイダーの設定（ページ・Worker 共通の形式）
  */
-function getUniqueStocks(rows) {
-    const seen = new Map();
-
-    for (const row of rows) {
-        if (row.length <= COL.CODE) continue;
-        const rawCode = String(row[COL.CODE]).trim();
-        if (!rawCode || seen.has(rawCode)) continue;
-
-        const ticker = toTicker(rawCode);
-        if (!ticker) continue;
-
-        const name = String(row[COL.NAME] || '').trim();
-
-        seen.set(rawCode, { ticker, rawCode, name });
-    }
-
-    return Array.from(seen.values());
+function getProviderConfig(settings) {
+    return {
+        type: settings.type,
+        proxyBase: settings.proxyBase,
+        apiBase: settings.apiBase,
+        useCache: settings.useCache && isHistoryCacheAvailable(),
+        fixtureBundle: settings.type === 'fixture' ? fixtureBundle : null
+    };
 }
 
 /**
- * 終値取得に使う日付を決定する
- * - 東京市場の取引時間（9:00〜15:00 JST）中は前日の日付
- * - それ以外は当日の日付
- * 戻り値: YYYYMMDD 形式の文字列
+ * 記録用のバンドルを用意する（記録しない設定なら null）
  */
-function getTargetDate() {
-    const now = new Date();
-    // JST は UTC+9
-    const jstOffset = 9 * 60;
-    const utcMs = now.getTime() + now.getTimezoneOffset() * 60 * 1000;
-    const jstDate = new Date(utcMs + jstOffset * 60 * 1000);
-
-    const hour = jstDate.getHours();
-    const minute = jstDate.getMinutes();
-    const currentMinutes = hour * 60 + minute;
-
-    // 9:00 (540分) 〜 15:00 (900分) の間は前日
-    let targetDate = jstDate;
-    if (currentMinutes >= 540 && currentMinutes < 900) {
-        targetDate = new Date(jstDate.getTime() - 24 * 60 * 60 * 1000);
+function prepareRecordingBundle(settings, { continueRecording = false } = {}) {
+    if (!settings.record) return null;
+    if (!recordingBundle || !continueRecording) {
+        recordingBundle = createEmptyBundle();
     }
-
-    const y = targetDate.getFullYear();
-    const m = String(targetDate.getMonth() + 1).padStart(2, '0');
-    const d = String(targetDate.getDate()).padStart(2, '0');
-    return `${y}${m}${d}`;
+    return recordingBundle;
 }
 
 /**
- * YYYYMMDD を YYYY/MM/DD に変換
+ * 現在の設定からプロバイダーを生成する
  */
-function formatDateStr(yyyymmdd) {
-    const s = String(yyyymmdd);
-    return `${s.substring(0, 4)}/${s.substring(4, 6)}/${s.substring(6, 8)}`;
+function createProviderFromSettings(settings, { continueRecording = false } = {}) {
+    const config = getProviderConfig(settings);
+    return buildProvider(config, {
+        scheduler: requestScheduler,
+        cache: config.useCache ? getProviderCache() : null,
+        recordingBundle: prepareRecordingBundle(settings, { continueRecording })
+    });
 }
 
 // ============================================
-// Yahoo Finance API
+// Worker
 // ============================================
+//
+// XLS の解析と一括取得は worker.js で実行し、途中結果をメッセージで受け取る。
+// Worker を起動できない環境（file:// で開いた場合など）では同じ処理をページのスレッドで実行する。
+
+const WORKER_READY_TIMEOUT_MS = 10000;
+
+let coreWorkerPromise = null;
+let workerRequestId = 0;
+const workerRequests = new Map(); // 要求 id → { onMessage(message) }
 
 /**
- * タイムスタンプ配列から、指定タイムスタンプに最も近い（以前の）終値を探す
+ * Worker を起動して返す（使えない場合は null）
  */
-function findClosestPrice(timestamps, closes, targetTs) {
-    let bestIdx = -1;
-    let bestDiff = Infinity;
+function getCoreWorker() {
+    if (coreWorkerPromise) return coreWorkerPromise;
 
-    // 対象日以前で最も近いデータを優先
-    for (let i = 0; i < timestamps.length; i++) {
-        if (closes[i] === null || closes[i] === undefined) continue;
-        const diff = targetTs - timestamps[i];
-        if (diff >= 0 && diff < bestDiff) {
-            bestDiff = diff;
-            bestIdx = i;
+    coreWorkerPromise = new Promise(resolve => {
+        if (typeof Worker === 'undefined') {
+            resolve(null);
+            return;
         }
-    }
 
-    // 対象日以前にない場合、以降の最も近いデータ
-    if (bestIdx === -1) {
-        for (let i = 0; i < timestamps.length; i++) {
-            if (closes[i] === null || closes[i] === undefined) continue;
-            const diff = Math.abs(targetTs - timestamps[i]);
-            if (diff < bestDiff) {
-                bestDiff = diff;
-                bestIdx = i;
-            }
+        let worker;
+        try {
+            worker = new Worker('worker.js');
+        } catch (err) {
+            console.warn('Worker を起動できません。ページ内で処理します:', err);
+            resolve(null);
+            return;
         }
-    }
-
-    return bestIdx >= 0 ? closes[bestIdx] : null;
-}
 
-/**
- * 変動率を計算 (%)：(現在値 - 過去値) / 過去値 * 100
- */
-function calcChangeRate(currentPrice, pastPrice) {
-    if (currentPrice === null || pastPrice === null || pastPrice === 0) return null;
-    return Math.round((currentPrice - pastPrice) / pastPrice * 10000) / 100;
+        let ready = false;
+        const fail = (reason) => {
+            console.warn('Worker を使えません。ページ内で処理します:', reason);
+            clearTimeout(readyTimer);
+            worker.terminate();
+            resolve(null);
+        };
+        const readyTimer = setTimeout(() => fail('応答がありません'), WORKER_READY_TIMEOUT_MS);
+
+        worker.addEventListener('message', (e) => {
+            const message = e.data;
+            if (message.type === 'ready') {
+                ready = true;
+                clearTimeout(readyTimer);
+                resolve(worker);
+                return;
+            }
+            const request = workerRequests.get(message.id);
+            if (request) request.onMessage(message);
+        });
+        worker.addEventListener('error', (e) => {
+            if (!ready) {
+                // スクリプトの読み込みに失敗した場合
+                e.preventDefault();
+                fail(e.message || '読み込みに失敗しました');
+                return;
+            }
+            for (const [id, request] of workerRequests) {
+                request.onMessage({ type: 'error', id, message: e.message || 'Worker でエラーが発生しました' });
+            }
+        });
+    });
+    return coreWorkerPromise;
 }
 
-/**
- * 日付文字列（YYYYMMDD 数値）を Date に変換
- */
-function parseDateValue(dateVal) {
-    const s = String(dateVal).trim();
-    // YYYYMMDD 形式
-    if (/^\d{8}$/.test(s)) {
-        const y = parseInt(s.substring(0, 4));
-        const m = parseInt(s.substring(4, 6)) - 1;
-        const d = parseInt(s.substring(6, 8));
-        return new Date(y, m, d);
-    }
-    // 数値（Excel シリアル日付ではなくそのまま YYYYMMDD として格納されることを想定）
-    const n = parseInt(s);
-    if (n > 19000000 && n < 21000000) {
-        const y = Math.floor(n / 10000);
-        const m = Math.floor((n % 10000) / 100) - 1;
-        const d = n % 100;
-        return new Date(y, m, d);
-    }
-    // フォールバック
-    return new Date(s);
+function createWorkerError(message) {
+    const err = new Error(message.message);
+    if (message.detection) err.detection = message.detection;
+    return err;
 }
 
 /**
- * リトライ機能付きの fetch
- * HTTP 429 が発生した場合は、指数バックオフ（徐々に待機時間を延ばす）で再試行する
+ * 入力ファイルを解析する（Worker を使えない場合はページのスレッドで解析する）
  */
-async function fetchWithRetry(url, options = {}, maxRetries = 3) {
-    let retries = 0;
-    while (true) {
-        const response = await fetch(url, options);
-        if (response.ok) {
-            return response;
-        }
-        if (response.status === 429) {
-            if (retries >= maxRetries) {
-                return response;
-            }
-            retries++;
-            // 待機時間: 初回約3秒, 2回目約6秒, 3回目約12秒 (+ランダムなジッターを加えてAPI側の負荷集中を防ぐ)
-            const delay = (Math.pow(2, retries - 1) * 3000) + Math.random() * 500;
-            console.warn(`HTTP 429 API rate limit exceeded. Retrying in ${Math.round(delay)}ms... (${retries}/${maxRetries})`);
-            
-            // 進捗表示にリトライ中であることを追記
-            if (dom.progressDetail && dom.progressDetail.textContent && !dom.progressDetail.textContent.includes('リトライ待機中')) {
-                dom.progressDetail.textContent += ' [リトライ待機中...]';
+async function parseInputInBackground(buffer, fileName) {
+    const worker = await getCoreWorker();
+    if (!worker) return parseInputFile(buffer, fileName);
+
+    return new Promise((resolve, reject) => {
+        const id = ++workerRequestId;
+        workerRequests.set(id, {
+            onMessage(message) {
+                if (message.type !== 'parsed' && message.type !== 'error') return;
+                workerRequests.delete(id);
+                if (message.type === 'parsed') resolve(message.data);
+                else reject(createWorkerError(message));
             }
-
-            await sleep(delay);
-            continue;
-        }
-        return response;
-    }
+        });
+        worker.postMessage({ type: 'parse', id, buffer, fileName });
+    });
 }
 
 /**
- * 指定ティッカーの終値・株価変動率を取得
+ * fetchPriceBatch を Worker で実行する
+ * 一時停止・キャンセルは pauseGate・signal から Worker に転送し、結果は onResult、
+ * スケジューラーの状態は onStats で受け取る。記録した応答のバンドルを返す（記録しない場合は null）
  */
-async function fetchClosingPrice(ticker, targetDateStr) {
-    const nullResult = {
-        price: null,
-        actualDate: null,
-        change1d: null,
-        change7d: null,
-        change30d: null,
-        change90d: null,
-        change180d: null,
-        volumeChange1d: null,
-        vwap: null,
-        vwapDev: null,
-        error: null
-    };
-
-    if (!ticker) return { ...nullResult, error: '無効なティッカー' };
-
-    try {
-        const targetDate = parseDateValue(targetDateStr);
-        targetDate.setHours(23, 59, 59); // 終値データのタイムスタンプ（15:00 JST）を確実に含める
-        const targetTs = Math.floor(targetDate.getTime() / 1000);
-
-        // 6ヶ月比のため200日前まで取得
-        const startTs = targetTs - 200 * 86400;
-        const endTs = targetTs + 14 * 86400;
-
-        const apiUrl = `${YAHOO_API_BASE}${encodeURIComponent(ticker)}?period1=${startTs}&period2=${endTs}&interval=1d`;
-        const proxyUrl = `${CORS_PROXY}${encodeURIComponent(apiUrl)}`;
-
-        const response = await fetchWithRetry(proxyUrl, {
-            headers: { 'Accept': 'application/json' }
-        }, 3); // 最大3回リトライ
-
-        if (!response.ok) {
-            return { ...nullResult, error: `HTTP ${response.status}` };
-        }
-
-        const data = await response.json();
-
-        if (!data.chart || !data.chart.result || data.chart.result.length === 0) {
-            return { ...nullResult, error: 'データなし' };
-        }
-
-        const result = data.chart.result[0];
-        const timestamps = result.timestamp || [];
-        const closes = result.indicators?.quote?.[0]?.close || [];
-        const volumes = result.indicators?.quote?.[0]?.volume || [];
-
-        if (timestamps.length === 0 || closes.length === 0) {
-            return { ...nullResult, error: 'チャートデータなし' };
-        }
-
-        // 有効な取引日データのみを抽出（タイムスタンプ昇順）
-        const tradingDays = [];
-        for (let i = 0; i < timestamps.length; i++) {
-            if (closes[i] !== null && closes[i] !== undefined) {
-                tradingDays.push({ ts: timestamps[i], close: closes[i], volume: volumes[i] });
-            }
-        }
-        tradingDays.sort((a, b) => a.ts - b.ts);
-
-        if (tradingDays.length === 0) {
-            return { ...nullResult, error: '有効な終値なし' };
-        }
-
-        // 当日（targetTs）以前で最も近い取引日を探す
-        let currentIdx = -1;
-        for (let i = tradingDays.length - 1; i >= 0; i--) {
-            if (tradingDays[i].ts <= targetTs) {
-                currentIdx = i;
-                break;
-            }
-        }
-        // 対象日以前になければ最も近い取引日
-        if (currentIdx === -1) currentIdx = 0;
-
-        const currentPrice = tradingDays[currentIdx].close;
-        const actualTs = tradingDays[currentIdx].ts;
-
-        const actualDate = new Date(actualTs * 1000);
-        const formattedDate = `${actualDate.getFullYear()}/${String(actualDate.getMonth() + 1).padStart(2, '0')}/${String(actualDate.getDate()).padStart(2, '0')}`;
-
-        // 前日比: 実際の1つ前の取引日と比較（取引日ベース）
-        const price1d = currentIdx >= 1 ? tradingDays[currentIdx - 1].close : null;
-        const currentVolume = tradingDays[currentIdx].volume;
-        const volume1d = currentIdx >= 1 ? tradingDays[currentIdx - 1].volume : null;
-
-        // カレンダーベースで過去日を計算し、最も近い営業日（取引日）の終値と比較
-        const actualDateObj = new Date(actualTs * 1000);
-
-        const date7d = new Date(actualDateObj);
-        date7d.setDate(date7d.getDate() - 7);
-
-        const date1m = new Date(actualDateObj);
-        date1m.setMonth(date1m.getMonth() - 1);
-
-        const date3m = new Date(actualDateObj);
-        date3m.setMonth(date3m.getMonth() - 3);
-
-        const date6m = new Date(actualDateObj);
-        date6m.setMonth(date6m.getMonth() - 6);
-
-        const price7d = findClosestPrice(timestamps, closes, Math.floor(date7d.getTime() / 1000));
-        const price30d = findClosestPrice(timestamps, closes, Math.floor(date1m.getTime() / 1000));
-        const price90d = findClosestPrice(timestamps, closes, Math.floor(date3m.getTime() / 1000));
-        const price180d = findClosestPrice(timestamps, closes, Math.floor(date6m.getTime() / 1000));
-
-        // 変動率を計算
-        const change1d = calcChangeRate(currentPrice, price1d);
-        const change7d = calcChangeRate(currentPrice, price7d);
-        const change30d = calcChangeRate(currentPrice, price30d);
-        const change90d = calcChangeRate(currentPrice, price90d);
-        const change180d = calcChangeRate(currentPrice, price180d);
-        const volumeChange1d = calcChangeRate(currentVolume, volume1d);
+function fetchPriceBatchInWorker(worker, stocks, providerConfig, {
+    targetDateStr, periods, benchmark, fundamentals, signal, pauseGate, record, onResult, onStats
+}) {
+    return new Promise((resolve, reject) => {
+        const id = ++workerRequestId;
+        const onAbort = () => worker.postMessage({ type: 'cancel', id });
+        const unsubscribe = pauseGate.subscribe(paused => worker.postMessage({ type: paused ? 'pause' : 'resume', id }));
+        const finish = () => {
+            workerRequests.delete(id);
+            signal.removeEventListener('abort', onAbort);
+            unsubscribe();
+        };
 
-        // --- VWAP算出のための5分足取得 ---
-        let vwap = null;
-        let vwapDev = null;
-        try {
-            const vwapUrl = `${YAHOO_API_BASE}${encodeURIComponent(ticker)}?range=5d&interval=5m`;
-            const vwapProxyUrl = `${CORS_PROXY}${encodeURIComponent(vwapUrl)}`;
-            const vwapResponse = await fetchWithRetry(vwapProxyUrl, {
-                headers: { 'Accept': 'application/json' }
-            }, 3); // 最大3回リトライ
-            if (vwapResponse.ok) {
-                const vwapData = await vwapResponse.json();
-                if (vwapData.chart && vwapData.chart.result && vwapData.chart.result.length > 0) {
-                    const vRes = vwapData.chart.result[0];
-                    const vTimestamps = vRes.timestamp || [];
-                    const quote = vRes.indicators?.quote?.[0];
-                    if (quote) {
-                        const vHighs = quote.high || [];
-                        const vLows = quote.low || [];
-                        const vCloses = quote.close || [];
-                        const vVolumes = quote.volume || [];
-
-                        // 基準日 (actualDateObj) の 0:00:00 〜 23:59:59 (ローカル時間=JST想定) をターゲットに
-                        const y = actualDateObj.getFullYear();
-                        const m = actualDateObj.getMonth();
-                        const day = actualDateObj.getDate();
-                        const startJst = new Date(y, m, day, 0, 0, 0).getTime() / 1000;
-                        const endJst = new Date(y, m, day, 23, 59, 59).getTime() / 1000;
-
-                        let totalTypicalVolume = 0;
-                        let totalVolume = 0;
-
-                        for (let i = 0; i < vTimestamps.length; i++) {
-                            const ts = vTimestamps[i];
-                            if (ts >= startJst && ts <= endJst) {
-                                const h = vHighs[i];
-                                const l = vLows[i];
-                                const c = vCloses[i];
-                                const vol = vVolumes[i];
-
-                                if (h != null && l != null && c != null && vol != null && vol > 0) {
-                                    const typicalPrice = (h + l + c) / 3;
-                                    totalTypicalVolume += typicalPrice * vol;
-                                    totalVolume += vol;
-                                }
-                            }
-                        }
-
-                        if (totalVolume > 0) {
-                            vwap = totalTypicalVolume / totalVolume;
-                            vwap = Math.round(vwap * 10) / 10;
-                            vwapDev = Math.round((currentPrice - vwap) / vwap * 10000) / 100;
-                        }
-                    }
+        workerRequests.set(id, {
+            onMessage(message) {
+                switch (message.type) {
+                    case 'result':
+                        onResult(message.stock, message.result);
+                        break;
+                    case 'stats':
+                        onStats(message.stats);
+                        break;
+                    case 'done':
+                        finish();
+                        resolve(message.recorded);
+                        break;
+                    case 'error':
+                        finish();
+                        reject(createWorkerError(message));
+                        break;
                 }
             }
-        } catch (e) {
-            console.warn(`VWAP fetch failed for ${ticker}`, e);
-        }
-
-        return {
-            price: Math.round(currentPrice * 10) / 10,
-            volume: currentVolume,
-            actualDate: formattedDate,
-            change1d,
-            change7d,
-            change30d,
-            change90d,
-            change180d,
-            volumeChange1d,
-            vwap,
-            vwapDev,
-            error: null
-        };
-    } catch (err) {
-        return { ...nullResult, error: err.message };
-    }
+        });
+        signal.addEventListener('abort', onAbort);
+
+        worker.postMessage({
+            type: 'fetch',
+            id,
+            stocks,
+            targetDateStr,
+            periods,
+            benchmark,
+            fundamentals,
+            provider: providerConfig,
+            calendarUpdate,
+            record
+        });
+        if (pauseGate.paused) worker.postMessage({ type: 'pause', id });
+        if (signal.aborted) onAbort();
+    });
 }
 
 // ============================================
 // Batch Processing
 // ============================================
 
-async function fetchAllPrices(stocks) {
+// 取得中に表を描き直す間隔
+const TABLE_REFRESH_INTERVAL_MS = 1000;
+
+/**
+ * 銘柄一覧の終値・変動率を一括取得する
+ * options.merge: true の場合は既存の closingPrices を残したまま結果を上書きマージする
+ * options.targetDateStr: 基準日（省略時は getTargetDate()）
+ * options.skipped: シンボルを解決できず取得しない銘柄 [{ rawCode, name, reason }]（エラーログに理由を残す）
+ */
+async function fetchAllPrices(stocks, provider, { merge = false, targetDateStr = getTargetDate(), skipped = [] } = {}) {
     isFetching = true;
-    closingPrices = {};
-    errorMessages = [];
+    if (merge) {
+        const retryCodes = new Set(stocks.map(s => s.rawCode));
+        errorMessages = errorMessages.filter(e => !retryCodes.has(e.code));
+        retryCodes.forEach(code => priceSeries.delete(code));
+    } else {
+        closingPrices = {};
+        priceSeries.clear();
+        errorMessages = [];
+    }
+    for (const stock of skipped) {
+        errorMessages.push({ code: stock.rawCode, name: stock.name, ticker: '—', error: `取得対象外: ${stock.reason}`, skipped: true });
+    }
+
+    // 時価総額・PER などの取得失敗は1件にまとめて最後に追加し直す
+    errorMessages = errorMessages.filter(e => !e.fundamentals);
 
-    // 最新の取引日の終値を取得（市場開場中は前日）
-    const targetDateStr = getTargetDate();
     priceTargetDate = targetDateStr;
+    const periods = getComparisonPeriods(); // 取得中に設定が変わっても同じ期間で揃える
+    const fundamentals = displaySettings.showFundamentals;
+
+    const abortController = new AbortController();
+    const pauseGate = createPauseGate();
+    const { signal } = abortController;
+    const run = { abortController, pauseGate };
+    fetchRun = run;
+    // 取得中に一覧が読み込み直された（discardFetch）場合、以降の結果は新しい一覧に書き込まない
+    const generation = ++fetchGeneration;
+    const isStale = () => generation !== fetchGeneration;
+    const endRun = () => {
+        isFetching = false;
+        if (fetchRun === run) fetchRun = null;
+        dom.fetchBtn.disabled = false;
+        dom.fetchBtn.classList.remove('loading');
+    };
 
     const total = stocks.length;
     let completed = 0;
 
     showSection(dom.progressSection, true);
+    showSection(dom.sessionNotice, false);
     updateProgress(0, total, `基準日: ${formatDateStr(targetDateStr)} — 準備中...`);
+    updateRunControls();
 
     dom.fetchBtn.disabled = true;
     dom.fetchBtn.classList.add('loading');
 
-    for (let i = 0; i < total; i += BATCH_SIZE) {
-        const batch = stocks.slice(i, i + BATCH_SIZE);
-
-        const promises = batch.map(async (stock) => {
-            const result = await fetchClosingPrice(stock.ticker, targetDateStr);
-            closingPrices[stock.rawCode] = result;
-
-            if (result.error) {
-                errorMessages.push({
-                    code: stock.rawCode,
-                    name: stock.name,
-                    ticker: stock.ticker || 'N/A',
-                    error: result.error
-                });
+    // ベンチマークは1回の取得につき1度だけ取得する（再取得で同じ条件なら前回分を使う）
+    const benchmarkTicker = displaySettings.benchmark.trim();
+    const reuseBenchmark = merge && benchmarkData
+        && benchmarkData.ticker === benchmarkTicker && benchmarkData.targetDateStr === targetDateStr;
+    if (!reuseBenchmark) {
+        benchmarkData = null;
+        errorMessages = errorMessages.filter(e => !e.benchmark);
+        if (benchmarkTicker) {
+            updateProgress(0, total, `ベンチマーク ${benchmarkTicker} を取得中...`);
+            try {
+                const fetched = await fetchBenchmark(benchmarkTicker, targetDateStr, provider, { signal, periods });
+                if (!isStale()) benchmarkData = fetched;
+            } catch (err) {
+                if (!isAbortError(err) && !isStale()) {
+                    errorMessages.push({ code: benchmarkTicker, name: 'ベンチマーク', ticker: benchmarkTicker, error: err.message, benchmark: true });
+                }
             }
+        }
+    }
+    const benchmark = benchmarkData;
 
-            completed++;
-            updateProgress(completed, total, `${stock.name} (${stock.ticker}) を取得中...`);
-        });
+    const worker = await getCoreWorker();
+    if (isStale()) {
+        endRun();
+        return;
+    }
+    let workerStats = null;
+    const getStats = () => workerStats || requestScheduler.getStats();
+
+    // 途中結果は一定間隔でまとめて表に反映する
+    let tableDirty = false;
+    const startedAt = Date.now();
+    const rateTimer = setInterval(() => updateThroughput(completed, total, startedAt, pauseGate, getStats()), 1000);
+    const tableTimer = setInterval(() => {
+        if (!tableDirty) return;
+        tableDirty = false;
+        refreshTableRows();
+    }, TABLE_REFRESH_INTERVAL_MS);
+
+    // チャート用の足データは一覧全体では持たず、詳細パネルを開いたときに取得する
+    function onResult(stock, result) {
+        // Worker から届いた前の取得の結果は捨てる
+        if (isStale()) return;
+        closingPrices[stock.rawCode] = result;
+
+        if (result.error) {
+            errorMessages.push({
+                code: stock.rawCode,
+                name: stock.name,
+                ticker: stock.ticker || 'N/A',
+                error: result.error
+            });
+        }
 
-        await Promise.all(promises);
+        completed++;
+        tableDirty = true;
+        updateProgress(completed, total, `${stock.name} (${stock.ticker}) を取得中...`);
+    }
 
-        // レート制限対策
-        if (i + BATCH_SIZE < total) {
-            await sleep(BATCH_DELAY_MS);
+    try {
+        if (worker) {
+            const recorded = await fetchPriceBatchInWorker(worker, stocks, getProviderConfig(providerSettings), {
+                targetDateStr,
+                periods,
+                benchmark,
+                fundamentals,
+                signal,
+                pauseGate,
+                record: !!providerSettings.record,
+                onResult,
+                onStats: (stats) => { workerStats = stats; }
+            });
+            if (recorded) recordingBundle = mergeBundles(recordingBundle, recorded);
+        } else {
+            await fetchPriceBatch(stocks, provider, { targetDateStr, periods, benchmark, fundamentals, signal, pauseGate, onResult });
         }
+    } catch (err) {
+        // Worker 内の想定外のエラー。取得済みの結果は残して終了する
+        console.error(err);
+        if (!isStale()) errorMessages.push({ code: '—', name: '一括取得', ticker: '—', error: err.message });
+    } finally {
+        clearInterval(rateTimer);
+        clearInterval(tableTimer);
+        endRun();
     }
+    if (isStale()) return;
 
-    isFetching = false;
-    dom.fetchBtn.disabled = false;
-    dom.fetchBtn.classList.remove('loading');
-
-    updateProgress(total, total, '完了！');
+    if (signal.aborted) {
+        updateProgress(completed, total, 'キャンセルしました（取得済みの結果は保持しています）');
+    } else {
+        updateProgress(total, total, '完了！');
+    }
+    const fundamentalsError = summarizeFundamentalsErrors(closingPrices);
+    if (fundamentalsError) {
+        errorMessages.push({ code: '—', name: 'バリュエーション', ticker: '—', error: fundamentalsError, fundamentals: true });
+    }
+    applySectorPercentiles();
+    lastRun = {
+        targetDateStr,
+        startedAt,
+        finishedAt: Date.now(),
+        provider: providerSettings.type,
+        cancelled: signal.aborted,
+        // 再取得は同じスナップショットに上書き保存する
+        snapshotId: merge && lastRun?.snapshotId ? lastRun.snapshotId : Date.now()
+    };
+    updateThroughput(completed, total, startedAt, null, getStats());
+    updateRunControls();
     showResults();
     renderTable();
     dom.downloadBtn.disabled = false;
+    dom.exportBtn.disabled = false;
+    dom.recordDownloadBtn.disabled = !recordingBundle;
+    refreshCacheStatus();
+    saveRunSnapshot(lastRun.snapshotId);
+    saveLastSession();
+}
+
+/**
+ * PER・PBR の業種内パーセンタイルを取得済みの結果に加える（再取得した銘柄があるので一覧全体で計算し直す）
+ */
+function applySectorPercentiles() {
+    if (!xlsData) return;
+    const percentiles = computeSectorPercentiles(xlsData.rows, closingPrices);
+    for (const [code, values] of Object.entries(percentiles)) {
+        closingPrices[code] = { ...closingPrices[code], ...values };
+    }
+}
+
+// ============================================
+// Fetch Run Controls
+// ============================================
+
+/**
+ * 前回の取得でエラーまたは N/A になった銘柄（未取得を含む）を返す
+ */
+function getFailedStocks(stocks) {
+    return stocks.filter(stock => {
+        const pd = closingPrices[stock.rawCode];
+        return !pd || pd.price === null;
+    });
+}
+
+function updateRunControls() {
+    const running = fetchRun !== null;
+    const paused = running && fetchRun.pauseGate.paused;
+
+    dom.pauseBtn.disabled = !running;
+    dom.cancelBtn.disabled = !running;
+    dom.pauseBtn.textContent = paused ? '▶ 再開' : '⏸ 一時停止';
+    dom.progressTitle.textContent = !running ? '取得完了' : paused ? '一時停止中' : '取得中...';
+
+    const failedN = xlsData && Object.keys(closingPrices).length > 0
+        ? getFailedStocks(getUniqueStocks(getFilteredRows(xlsData.rows), tickerOverrides)).length
+        : 0;
+    dom.retryBtn.disabled = running || failedN === 0;
+    dom.retryCount.textContent = failedN > 0 ? `(${failedN})` : '';
+}
+
+function togglePause() {
+    if (!fetchRun) return;
+    if (fetchRun.pauseGate.paused) {
+        fetchRun.pauseGate.resume();
+    } else {
+        fetchRun.pauseGate.pause();
+        dom.progressDetail.textContent = '一時停止中（実行中のリクエストは完了まで継続します）';
+    }
+    updateRunControls();
+}
+
+function cancelFetch() {
+    if (!fetchRun) return;
+    fetchRun.abortController.abort();
+    // 一時停止中でもループを抜けられるようにする
+    fetchRun.pauseGate.resume();
+    dom.progressDetail.textContent = 'キャンセル中...';
 }
 
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * 一覧を読み込み直す前に実行中の取得を止め、その結果（届きかけのものも含む）を捨てる
+ */
+function discardFetch() {
+    cancelFetch();
+    fetchGeneration++;
 }
 
 // ============================================
@@ -550,6 +673,37 @@ function updateProgress(current, total, detail) {
     dom.progressDetail.textContent = detail;
 }
 
+/**
+ * スループット・残り時間・スケジューラーの状態を表示する
+ * pauseGate が null の場合は完了後の集計として表示する
+ * stats は取得を実行しているスケジューラー（Worker またはページ）の状態
+ */
+function updateThroughput(completed, total, startedAt, pauseGate, stats = requestScheduler.getStats()) {
+    const elapsedSec = (Date.now() - startedAt) / 1000;
+    const perSec = elapsedSec > 0 ? completed / elapsedSec : 0;
+
+    const parts = [`${perSec.toFixed(2)} 銘柄/秒`];
+    if (!pauseGate) {
+        parts.push(`所要 ${formatDuration(elapsedSec)}`);
+    } else if (pauseGate.paused) {
+        parts.push('一時停止中');
+    } else if (perSec > 0 && completed < total) {
+        parts.push(`残り約 ${formatDuration((total - completed) / perSec)}`);
+    }
+    parts.push(`並列 ${stats.concurrency}`, `${stats.rate.toFixed(2)} req/s`);
+    if (stats.blockedMs > 0) {
+        parts.push(`レート制限のため ${Math.ceil(stats.blockedMs / 1000)} 秒待機中`);
+    }
+    dom.progressRate.textContent = parts.join(' · ');
+}
+
+function formatDuration(sec) {
+    const s = Math.max(0, Math.round(sec));
+    if (s < 60) return `${s}秒`;
+    if (s < 3600) return `${Math.floor(s / 60)}分${s % 60}秒`;
+    return `${Math.floor(s / 3600)}時間${Math.floor((s % 3600) / 60)}分`;
+}
+
 function showResults() {
     const successN = Object.values(closingPrices).filter(v => v.price !== null).length;
     const errorN = errorMessages.length;
@@ -558,6 +712,8 @@ function showResults() {
     dom.successCount.textContent = successN;
     dom.naCount.textContent = naN;
     dom.errorCount.textContent = errorN;
+    renderBenchmarkCard();
+    refreshPortfolio();
 
     showSection(dom.resultsSection);
 
@@ -569,6 +725,48 @@ function showResults() {
     } else {
         showSection(dom.errorSection, false);
     }
+
+    renderSectorSummary();
+}
+
+/**
+ * 結果サマリーのベンチマークカード（先頭の比較期間を大きく、残りを一覧で表示）
+ */
+function renderBenchmarkCard() {
+    if (!benchmarkData) {
+        showSection(dom.benchmarkCard, false);
+        return;
+    }
+
+    const { ticker, prices } = benchmarkData;
+    const formatChange = (val) => (val === null || val === undefined ? 'N/A' : `${val > 0 ? '+' : ''}${val.toFixed(2)}%`);
+    const changeClass = (val) => (val > 0 ? 'change-up' : val < 0 ? 'change-down' : '');
+    const [first, ...rest] = getComparisonPeriods();
+    const firstVal = prices[periodKey(first)];
+
+    dom.benchmarkValue.textContent = formatChange(firstVal);
+    dom.benchmarkValue.className = `stat-value ${changeClass(firstVal)}`;
+    dom.benchmarkLabel.textContent = `${ticker} ${periodLabel(first)}（${prices.actualDate} 終値 ${prices.price?.toLocaleString() ?? 'N/A'}）`;
+    dom.benchmarkChanges.innerHTML = rest.map(p => {
+        const val = prices[periodKey(p)];
+        return `<span>${escapeHTML(periodLabel(p))} <span class="${changeClass(val)}">${formatChange(val)}</span></span>`;
+    }).join('');
+    showSection(dom.benchmarkCard, true);
+}
+
+/**
+ * Blob をファイルとしてダウンロードさせる
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
 }
 
 function escapeHTML(str) {
@@ -577,6 +775,13 @@ function escapeHTML(str) {
     return div.innerHTML;
 }
 
+/**
+ * 属性値に埋め込む文字列をエスケープする（escapeHTML は " と ' をエスケープしない）
+ */
+function escapeAttr(str) {
+    return escapeHTML(str).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 function formatFileSize(bytes) {
     if (bytes < 1024) return bytes + ' B';
     if (bytes < 1048576) return (bytes / 1024).toFixed(1) + ' KB';
@@ -584,318 +789,2926 @@ function formatFileSize(bytes) {
 }
 
 // ============================================
-// Table Rendering
+// Filters
 // ============================================
 
-// 表に表示するXLS列
-const DISPLAY_COLS = [
-    { key: COL.DATE, label: '日付' },
-    { key: COL.CODE, label: 'コード' },
-    { key: COL.NAME, label: '銘柄名' },
-    { key: COL.MARKET, label: '市場・商品区分' },
-    { key: COL.SEC33_NAME, label: '33業種区分' },
-    { key: COL.SEC17_NAME, label: '17業種区分' },
-    { key: COL.SCALE_NAME, label: '規模区分' },
+// 絞り込みパネルに表示するファセット
+const FILTER_FACETS = [
+    { key: 'MARKET', label: '市場・商品区分' },
+    { key: 'SEC33_NAME', label: '33業種区分' },
+    { key: 'SEC17_NAME', label: '17業種区分' },
+    { key: 'SCALE_NAME', label: '規模区分' },
 ];
 
-// 追加列（価格取得後に表示）
-const EXTRA_COLS = [
-    { key: 'price', label: '終値' },
-    { key: 'volume', label: '出来高' },
-    { key: 'change1d', label: '前日比(%)' },
-    { key: 'change7d', label: '1週間比(%)' },
-    { key: 'change30d', label: '1ヶ月比(%)' },
-    { key: 'change90d', label: '3ヶ月比(%)' },
-    { key: 'change180d', label: '6ヶ月比(%)' },
-    { key: 'volumeChange1d', label: '出来高前日比(%)' },
-    { key: 'vwap', label: 'VWAP' },
-    { key: 'vwapDev', label: 'VWAP乖離率(%)' },
-];
-
-function renderTable() {
-    if (!xlsData) return;
+function createEmptyFilters() {
+    return { facets: {}, query: '', holdingsOnly: false };
+}
 
-    const { rows } = xlsData;
-    const hasPrices = Object.keys(closingPrices).length > 0;
+function hasActiveFilters() {
+    return filters.query !== '' || filters.holdingsOnly || Object.values(filters.facets).some(set => set.size > 0);
+}
 
-    // ヘッダー構築
-    const allCols = [...DISPLAY_COLS];
-    if (hasPrices) {
-        allCols.push(...EXTRA_COLS.map((c, i) => ({
-            ...c,
-            colIdx: DISPLAY_COLS.length + i,
-            isExtra: true
-        })));
-    }
+function normalizeSearchText(value) {
+    return String(value ?? '').normalize('NFKC').toLowerCase().trim();
+}
 
-    dom.tableHead.innerHTML = '<tr>' + allCols.map((col, idx) => {
-        let indicator = '';
-        if (idx === sortColIdx) {
-            indicator = sortAsc ? ' ▲' : ' ▼';
+/**
+ * 絞り込み条件に一致する行を返す
+ * ファセット内は OR、ファセット間とキーワード・スクリーンは AND で判定する
+ */
+function getFilteredRows(rows) {
+    const screenFilter = getScreenFilter();
+    if (!hasActiveFilters() && !screenFilter) return rows;
+
+    const query = normalizeSearchText(filters.query);
+    const facetEntries = Object.entries(filters.facets).filter(([, set]) => set.size > 0);
+    const heldCodes = filters.holdingsOnly ? new Set(holdings.map(h => h.code)) : null;
+
+    return rows.filter(row => {
+        if (heldCodes && !heldCodes.has(normalizeHoldingCode(row[COL.CODE]))) return false;
+        for (const [key, set] of facetEntries) {
+            if (!set.has(String(row[COL[key]] ?? '').trim())) return false;
         }
-        return `<th data-col="${idx}">${escapeHTML(col.label)}<span class="sort-indicator">${indicator}</span></th>`;
-    }).join('') + '</tr>';
-
-    // ヘッダークリックイベント
-    dom.tableHead.querySelectorAll('th').forEach(th => {
-        th.addEventListener('click', () => {
-            const colIdx = parseInt(th.dataset.col);
-            if (sortColIdx === colIdx) {
-                sortAsc = !sortAsc;
-            } else {
-                sortColIdx = colIdx;
-                sortAsc = true;
-            }
-            renderTable();
-        });
+        if (query) {
+            const code = normalizeSearchText(row[COL.CODE]);
+            const name = normalizeSearchText(row[COL.NAME]);
+            if (!code.startsWith(query) && !name.includes(query)) return false;
+        }
+        // 価格未取得で判定を保留した銘柄は残す（取得対象に含めるため）
+        if (screenFilter && screenFilter(row) === false) return false;
+        return true;
     });
+}
 
-    // ソート
-    const sortedRows = getSortedRows(rows, hasPrices);
-
-    // 最大200行表示
-    const displayRows = sortedRows.slice(0, 200);
-    dom.tableBody.innerHTML = displayRows.map(row => {
-        const cells = DISPLAY_COLS.map(col => {
-            let val = row[col.key];
-            if (col.key === COL.DATE) {
-                // YYYYMMDD を YYYY/MM/DD に変換
-                const s = String(val).trim();
-                if (/^\d{8}$/.test(s)) {
-                    val = `${s.substring(0, 4)}/${s.substring(4, 6)}/${s.substring(6, 8)}`;
-                }
-            }
-            return `<td>${escapeHTML(String(val ?? ''))}</td>`;
-        });
-
-        if (hasPrices) {
-            const code = String(row[COL.CODE] || '').trim();
-            const pd = closingPrices[code];
-
-            // 終値
-            if (pd && pd.price !== null) {
-                cells.push(`<td class="price-cell has-price">${pd.price.toLocaleString()}</td>`);
-            } else {
-                cells.push(`<td class="price-cell no-price">N/A</td>`);
-            }
+/**
+ * ファセットの値と件数を集計する（件数の多い順）
+ */
+function getFacetValues(rows, key) {
+    const counts = new Map();
+    for (const row of rows) {
+        const value = String(row[COL[key]] ?? '').trim();
+        if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+}
 
-            // 変動率・VWAP列
-            for (const key of ['volume', 'change1d', 'change7d', 'change30d', 'change90d', 'change180d', 'volumeChange1d', 'vwap', 'vwapDev']) {
-                const val = pd?.[key];
-                if (val !== null && val !== undefined) {
-                    if (key === 'vwap' || key === 'volume') {
-                        cells.push(`<td class="price-cell has-price">${val.toLocaleString()}</td>`);
-                    } else {
-                        const sign = val > 0 ? '+' : '';
-                        const colorClass = val > 0 ? 'change-up' : val < 0 ? 'change-down' : '';
-                        cells.push(`<td class="price-cell has-price ${colorClass}">${sign}${val.toFixed(2)}%</td>`);
-                    }
-                } else {
-                    cells.push(`<td class="price-cell no-price">N/A</td>`);
-                }
-            }
-        }
+function renderFilterPanel() {
+    if (!xlsData) return;
 
-        return '<tr>' + cells.join('') + '</tr>';
+    dom.filterFacets.innerHTML = FILTER_FACETS.map(facet => {
+        const values = getFacetValues(xlsData.rows, facet.key);
+        if (values.length === 0) return '';
+        const selected = filters.facets[facet.key] || new Set();
+        const chips = values.map(([value, n]) =>
+            `<button type="button" class="filter-chip${selected.has(value) ? ' active' : ''}" data-facet="${escapeAttr(facet.key)}" data-value="${escapeAttr(value)}">${escapeHTML(value)} <span class="chip-count">${n}</span></button>`
+        ).join('');
+        return `<div class="filter-facet"><p class="settings-label">${escapeHTML(facet.label)}</p><div class="filter-chips">${chips}</div></div>`;
     }).join('');
 
-    dom.tableRowCount.textContent = `${rows.length} 行${rows.length > 200 ? '（200行まで表示）' : ''}`;
-    showSection(dom.tableSection);
+    dom.filterSearch.value = filters.query;
+    dom.holdingsOnlyToggle.checked = filters.holdingsOnly;
+    updateFilterSummary();
+    showSection(dom.filterSection, true);
 }
 
-function getSortedRows(rows, hasPrices) {
-    if (sortColIdx < 0) return rows;
+function updateFilterSummary() {
+    const total = xlsData ? xlsData.rows.length : 0;
+    const n = xlsData ? getFilteredRows(xlsData.rows).length : 0;
+    dom.filterSummary.textContent = hasActiveFilters() || getScreenFilter() ? `${n} / ${total} 銘柄が対象` : `全 ${total} 銘柄`;
+    dom.filterClearBtn.disabled = !hasActiveFilters();
+}
 
-    const sorted = [...rows];
-    const baseCount = DISPLAY_COLS.length;
+/**
+ * 絞り込み条件の変更を表・取得対象・再取得ボタンに反映する
+ */
+function applyFilters() {
+    updateFilterSummary();
+    updateScreenStatus();
+    updateRunControls();
+    renderTable();
+    renderSectorSummary();
+}
 
-    sorted.sort((a, b) => {
-        let valA, valB;
+function toggleFacetValue(key, value) {
+    const set = filters.facets[key] || (filters.facets[key] = new Set());
+    if (set.has(value)) set.delete(value);
+    else set.add(value);
+    applyFilters();
+}
 
-        if (sortColIdx < baseCount) {
-            // XLS 列
-            const colKey = DISPLAY_COLS[sortColIdx].key;
-            valA = String(a[colKey] ?? '').trim();
-            valB = String(b[colKey] ?? '').trim();
-        } else if (hasPrices) {
-            // 追加列
-            const codeA = String(a[COL.CODE] || '').trim();
-            const codeB = String(b[COL.CODE] || '').trim();
-            const pdA = closingPrices[codeA];
-            const pdB = closingPrices[codeB];
+/**
+ * 保有銘柄のみの表示を切り替える（表に保有株数・評価額などの列が加わる）
+ */
+function setHoldingsOnly(on) {
+    filters.holdingsOnly = on;
+    sortColKey = null;
+    sortAsc = true;
+    applyFilters();
+}
 
-            const extraIdx = sortColIdx - baseCount;
-            const extraKey = EXTRA_COLS[extraIdx]?.key;
+function clearFilters() {
+    filters = createEmptyFilters();
+    renderFilterPanel();
+    applyFilters();
+}
 
-            if (extraKey) {
-                valA = pdA?.[extraKey] ?? null;
-                valB = pdB?.[extraKey] ?? null;
-            }
+// ============================================
+// Screener (スクリーナー)
+// ============================================
 
-            // null は常に末尾
+// 条件の演算子（number: 数値項目、text: XLS の文字列項目）
+const SCREEN_OPS = {
+    number: [
+        { op: '>', label: '>' },
+        { op: '>=', label: '≥' },
+        { op: '<', label: '<' },
+        { op: '<=', label: '≤' },
+        { op: '=', label: '=' },
+        { op: '!=', label: '≠' },
+    ],
+    text: [
+        { op: '=', label: '=' },
+        { op: '!=', label: '≠' },
+        { op: 'contains', label: '含む' },
+        { op: 'notContains', label: '含まない' },
+    ],
+};
+
+function createEmptyScreen() {
+    return { name: '', match: 'all', groups: [createEmptyScreenGroup()] };
+}
+
+function createEmptyScreenGroup() {
+    return { match: 'all', conditions: [] };
+}
+
+/**
+ * 条件に使える項目（XLS の列と、表示設定に関係なくすべての追加列）
+ */
+function getScreenFields() {
+    const colNames = Object.keys(COL);
+    const textFields = DISPLAY_COLS.map(col => ({
+        id: colNames.find(name => COL[name] === col.key),
+        label: col.label,
+        type: 'text',
+        colIdx: col.key
+    }));
+    const numberCols = [...PRICE_COLS, ...getPeriodCols(), ...EXTRA_COLS, ...FUNDAMENTAL_COLS, ...getBenchmarkCols(), ...INDICATOR_COLS, ...HOLDING_COLS];
+    const numberFields = numberCols.map(col => ({ id: col.key, label: col.label, type: 'number', col }));
+    return [...textFields, ...numberFields];
+}
+
+function normalizeScreen(screen) {
+    const normalizeMatch = (m) => (m === 'any' ? 'any' : 'all');
+    const groups = (Array.isArray(screen?.groups) ? screen.groups : []).map(g => ({
+        match: normalizeMatch(g?.match),
+        conditions: (Array.isArray(g?.conditions) ? g.conditions : []).map(c => ({
+            field: String(c?.field ?? ''),
+            op: String(c?.op ?? ''),
+            value: String(c?.value ?? '')
+        }))
+    }));
+    return { name: String(screen?.name ?? '').trim(), match: normalizeMatch(screen?.match), groups };
+}
+
+function loadSavedScreens() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SCREENS_KEY) || '{}');
+        return (saved.screens || []).map(normalizeScreen).filter(s => s.name);
+    } catch (e) {
+        console.warn('Failed to load screens', e);
+        return [];
+    }
+}
+
+function saveSavedScreens() {
+    try {
+        localStorage.setItem(SCREENS_KEY, JSON.stringify({ version: 1, screens: savedScreens }));
+    } catch (e) {
+        console.warn('Failed to save screens', e);
+    }
+}
+
+/**
+ * AND / OR の3値論理（null は価格未取得などで判定できない条件）
+ */
+function combineResults(results, match) {
+    if (match === 'any') {
+        if (results.some(r => r === true)) return true;
+        return results.some(r => r === null) ? null : false;
+    }
+    if (results.some(r => r === false)) return false;
+    return results.some(r => r === null) ? null : true;
+}
+
+/**
+ * スクリーンの判定関数を作る。戻り値は row => true / false / null（保留）
+ * 値が空の条件は無視し、条件が1つもなければすべて一致とする
+ * 終値を取得していない（または取得に失敗した）銘柄の数値条件は null とする
+ */
+function createScreenMatcher(screen) {
+    const fieldMap = new Map(getScreenFields().map(f => [f.id, f]));
+    const groups = screen.groups
+        .map(g => ({ match: g.match, conditions: g.conditions.filter(c => c.field && c.op && c.value.trim() !== '') }))
+        .filter(g => g.conditions.length > 0);
+    if (groups.length === 0) return null;
+
+    const evaluate = (cond, row) => {
+        const field = fieldMap.get(cond.field);
+        if (!field) return false;
+
+        if (field.type === 'text') {
+            const value = normalizeSearchText(row[field.colIdx]);
+            const target = normalizeSearchText(cond.value);
+            switch (cond.op) {
+                case '=': return value === target;
+                case '!=': return value !== target;
+                case 'contains': return value.includes(target);
+                case 'notContains': return !value.includes(target);
+            }
+            return false;
+        }
+
+        const code = String(row[COL.CODE] || '').trim();
+        const pd = closingPrices[code];
+        if (!pd || pd.price === null) return null;
+        const value = getColumnValue(field.col, code, pd);
+        const target = parseFloat(cond.value);
+        if (value === null || value === undefined || !Number.isFinite(target)) return false;
+        switch (cond.op) {
+            case '>': return value > target;
+            case '>=': return value >= target;
+            case '<': return value < target;
+            case '<=': return value <= target;
+            case '=': return value === target;
+            case '!=': return value !== target;
+        }
+        return false;
+    };
+
+    return (row) => combineResults(
+        groups.map(g => combineResults(g.conditions.map(c => evaluate(c, row)), g.match)),
+        screen.match
+    );
+}
+
+/**
+ * 絞り込みに使う判定関数（スクリーンを「絞り込み」で適用しているときのみ）
+ */
+function getScreenFilter() {
+    return screener.mode === 'filter' ? createScreenMatcher(screener.draft) : null;
+}
+
+/**
+ * ハイライトに使う判定関数（「ハイライト」で適用しているときのみ）
+ */
+function getScreenHighlighter() {
+    return screener.mode === 'highlight' ? createScreenMatcher(screener.draft) : null;
+}
+
+function renderScreenBuilder() {
+    const fields = getScreenFields();
+    const fieldMap = new Map(fields.map(f => [f.id, f]));
+    const { draft } = screener;
+
+    const matchSelect = (role, value) => `<select data-role="${role}">
+        <option value="all"${value === 'all' ? ' selected' : ''}>すべて一致 (AND)</option>
+        <option value="any"${value === 'any' ? ' selected' : ''}>いずれか一致 (OR)</option>
+    </select>`;
+
+    dom.screenMatch.innerHTML = matchSelect('screen-match', draft.match);
+
+    dom.screenGroups.innerHTML = draft.groups.map((group, gi) => {
+        const conditions = group.conditions.map((cond, ci) => {
+            const field = fieldMap.get(cond.field);
+            const fieldOptions = fields.map(f =>
+                `<option value="${escapeAttr(f.id)}"${f.id === cond.field ? ' selected' : ''}>${escapeHTML(f.label)}</option>`
+            ).join('') + (field ? '' : `<option value="${escapeAttr(cond.field)}" selected>${escapeHTML(cond.field)}（現在の設定にない項目）</option>`);
+            const opOptions = SCREEN_OPS[field?.type || 'number'].map(o =>
+                `<option value="${o.op}"${o.op === cond.op ? ' selected' : ''}>${escapeHTML(o.label)}</option>`
+            ).join('');
+            return `<div class="screen-cond" data-c="${ci}">
+                <select data-role="field">${fieldOptions}</select>
+                <select data-role="op">${opOptions}</select>
+                <input type="text" data-role="value" value="${escapeAttr(cond.value)}" placeholder="${field?.type === 'text' ? '値' : '数値'}">
+                <button type="button" class="btn-remove" data-role="remove-cond" title="条件を削除">✕</button>
+            </div>`;
+        }).join('');
+
+        return `<div class="screen-group" data-g="${gi}">
+            <div class="screen-group-header">
+                <span class="settings-label">グループ ${gi + 1}</span>
+                ${matchSelect('group-match', group.match)}
+                <button type="button" class="btn btn-secondary" data-role="add-cond">＋ 条件</button>
+                <button type="button" class="btn btn-secondary btn-danger" data-role="remove-group"${draft.groups.length <= 1 ? ' disabled' : ''}>グループを削除</button>
+            </div>
+            ${conditions || '<p class="filter-note">条件がありません。</p>'}
+        </div>`;
+    }).join('');
+
+    dom.screenSelect.innerHTML = '<option value="">（新しいスクリーン）</option>' + savedScreens.map(s =>
+        `<option value="${escapeAttr(s.name)}"${s.name === draft.name ? ' selected' : ''}>${escapeHTML(s.name)}</option>`
+    ).join('');
+    dom.screenNameInput.value = draft.name;
+    dom.screenDeleteBtn.disabled = !savedScreens.some(s => s.name === draft.name);
+    dom.screenModeSelect.value = screener.mode;
+    updateScreenStatus();
+}
+
+/**
+ * 一致件数を表示する（全銘柄に対する件数）
+ */
+function updateScreenStatus() {
+    const matcher = createScreenMatcher(screener.draft);
+    if (!matcher || !xlsData) {
+        dom.screenStatus.textContent = '条件なし';
+        return;
+    }
+    let matched = 0;
+    let pending = 0;
+    for (const row of xlsData.rows) {
+        const result = matcher(row);
+        if (result === true) matched++;
+        else if (result === null) pending++;
+    }
+    dom.screenStatus.textContent = `一致 ${matched} 件` + (pending > 0 ? `（未取得で保留 ${pending} 件）` : '');
+}
+
+/**
+ * スクリーンの変更を表・取得対象に反映する
+ */
+function onScreenChanged({ rebuild = false } = {}) {
+    if (rebuild) renderScreenBuilder();
+    else updateScreenStatus();
+    if (!xlsData) return;
+    if (screener.mode === 'filter') {
+        applyFilters();
+    } else {
+        renderTable();
+    }
+}
+
+function handleScreenBuilderChange(e) {
+    const el = e.target;
+    const role = el.dataset.role;
+    const { draft } = screener;
+    if (role === 'screen-match') {
+        draft.match = el.value;
+        onScreenChanged();
+        return;
+    }
+
+    const groupEl = el.closest('[data-g]');
+    if (!groupEl) return;
+    const group = draft.groups[parseInt(groupEl.dataset.g)];
+    if (role === 'group-match') {
+        group.match = el.value;
+        onScreenChanged();
+        return;
+    }
+
+    const condEl = el.closest('[data-c]');
+    if (!condEl) return;
+    const cond = group.conditions[parseInt(condEl.dataset.c)];
+    if (role === 'field') {
+        cond.field = el.value;
+        const field = getScreenFields().find(f => f.id === cond.field);
+        const ops = SCREEN_OPS[field?.type || 'number'];
+        if (!ops.some(o => o.op === cond.op)) cond.op = ops[0].op;
+        onScreenChanged({ rebuild: true });
+    } else if (role === 'op') {
+        cond.op = el.value;
+        onScreenChanged();
+    } else if (role === 'value') {
+        cond.value = el.value;
+        onScreenChanged();
+    }
+}
+
+function handleScreenBuilderClick(e) {
+    const btn = e.target.closest('button[data-role]');
+    if (!btn) return;
+    const { draft } = screener;
+    const groupEl = btn.closest('[data-g]');
+    const gi = groupEl ? parseInt(groupEl.dataset.g) : -1;
+
+    switch (btn.dataset.role) {
+        case 'add-cond': {
+            const field = getScreenFields().find(f => f.id === 'change1d') || getScreenFields()[0];
+            draft.groups[gi].conditions.push({ field: field.id, op: SCREEN_OPS[field.type][0].op, value: '' });
+            break;
+        }
+        case 'remove-cond':
+            draft.groups[gi].conditions.splice(parseInt(btn.closest('[data-c]').dataset.c), 1);
+            break;
+        case 'remove-group':
+            draft.groups.splice(gi, 1);
+            break;
+        default:
+            return;
+    }
+    onScreenChanged({ rebuild: true });
+}
+
+function addScreenGroup() {
+    screener.draft.groups.push(createEmptyScreenGroup());
+    renderScreenBuilder();
+}
+
+function selectSavedScreen(name) {
+    const saved = savedScreens.find(s => s.name === name);
+    screener.draft = saved ? normalizeScreen(saved) : createEmptyScreen();
+    onScreenChanged({ rebuild: true });
+}
+
+function saveCurrentScreen() {
+    const name = dom.screenNameInput.value.trim();
+    if (!name) {
+        alert('スクリーンの名前を入力してください。');
+        return;
+    }
+    screener.draft.name = name;
+    const screen = normalizeScreen(screener.draft);
+    const idx = savedScreens.findIndex(s => s.name === name);
+    if (idx >= 0) savedScreens[idx] = screen;
+    else savedScreens.push(screen);
+    saveSavedScreens();
+    renderScreenBuilder();
+}
+
+function deleteCurrentScreen() {
+    const name = screener.draft.name;
+    if (!savedScreens.some(s => s.name === name)) return;
+    if (!confirm(`スクリーン「${name}」を削除しますか？`)) return;
+    savedScreens = savedScreens.filter(s => s.name !== name);
+    saveSavedScreens();
+    screener.draft = { ...screener.draft, name: '' };
+    renderScreenBuilder();
+}
+
+function setScreenMode(mode) {
+    const wasFiltering = screener.mode === 'filter';
+    screener.mode = mode;
+    if (!xlsData) return;
+    if (wasFiltering || mode === 'filter') applyFilters();
+    else renderTable();
+}
+
+// ============================================
+// Sector Summary
+// ============================================
+
+/**
+ * 業種別サマリーで集計する変動率（設定済みの比較期間）
+ */
+function getSectorMetrics() {
+    return getComparisonPeriods().map(p => ({ key: periodKey(p), label: periodLabel(p) }));
+}
+
+function mean(values) {
+    if (values.length === 0) return null;
+    return Math.round(values.reduce((sum, v) => sum + v, 0) / values.length * 100) / 100;
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    const m = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    return Math.round(m * 100) / 100;
+}
+
+/**
+ * 取得済みの銘柄を業種ごとに集計する
+ * 戻り値: [{ sector, count, advance, decline, breadth, stats: { [metric]: { mean, median } } }]
+ */
+function aggregateBySector(rows, groupKey) {
+    const groups = new Map();
+    for (const row of rows) {
+        const pd = closingPrices[String(row[COL.CODE] || '').trim()];
+        if (!pd || pd.price === null) continue;
+
+        const sector = String(row[COL[groupKey]] ?? '').trim() || '（未分類）';
+        if (!groups.has(sector)) groups.set(sector, []);
+        groups.get(sector).push(pd);
+    }
+
+    // 騰落は先頭の比較期間（既定は前日比）で数える
+    const metrics = getSectorMetrics();
+    const breadthKey = metrics[0]?.key;
+
+    return Array.from(groups.entries()).map(([sector, items]) => {
+        const advance = items.filter(pd => pd[breadthKey] > 0).length;
+        const decline = items.filter(pd => pd[breadthKey] < 0).length;
+        const stats = {};
+        for (const { key } of metrics) {
+            const values = items.map(pd => pd[key]).filter(v => v !== null && v !== undefined);
+            stats[key] = { mean: mean(values), median: median(values) };
+        }
+        return {
+            sector,
+            count: items.length,
+            advance,
+            decline,
+            breadth: Math.round((advance - decline) / items.length * 10000) / 100,
+            stats
+        };
+    });
+}
+
+/**
+ * ソートキー（'count' / 'change1d.mean' など）の値を取り出す
+ */
+function getSectorSortValue(group, key) {
+    if (key === 'sector') return group.sector;
+    const [metric, stat] = key.split('.');
+    return (stat ? group.stats[metric]?.[stat] : group[metric]) ?? null;
+}
+
+function changeCellHTML(val) {
+    if (val === null || val === undefined) return '<td class="price-cell no-price">N/A</td>';
+    const sign = val > 0 ? '+' : '';
+    const colorClass = val > 0 ? 'change-up' : val < 0 ? 'change-down' : '';
+    return `<td class="price-cell has-price ${colorClass}">${sign}${val.toFixed(2)}%</td>`;
+}
+
+function renderSectorSummary() {
+    if (!xlsData || Object.keys(closingPrices).length === 0) {
+        showSection(dom.sectorSection, false);
+        return;
+    }
+
+    const groups = aggregateBySector(xlsData.rows, sectorGroupKey);
+    const metrics = getSectorMetrics();
+    const { key, asc } = sectorSort;
+    groups.sort((a, b) => {
+        const valA = getSectorSortValue(a, key);
+        const valB = getSectorSortValue(b, key);
+        if (valA === null && valB === null) return 0;
+        if (valA === null) return 1;
+        if (valB === null) return -1;
+        const cmp = typeof valA === 'string' ? valA.localeCompare(valB, 'ja') : valA - valB;
+        return asc ? cmp : -cmp;
+    });
+
+    const columns = [
+        { key: 'sector', label: sectorGroupKey === 'SEC33_NAME' ? '33業種' : '17業種' },
+        { key: 'count', label: '銘柄数' },
+        { key: 'advance', label: '上昇' },
+        { key: 'decline', label: '下落' },
+        { key: 'breadth', label: '騰落差(%)' },
+        ...metrics.flatMap(m => [
+            { key: `${m.key}.mean`, label: `${m.label} 平均` },
+            { key: `${m.key}.median`, label: `${m.label} 中央値` },
+        ]),
+    ];
+
+    dom.sectorHead.innerHTML = '<tr>' + columns.map(col => {
+        const indicator = col.key === key ? (asc ? ' ▲' : ' ▼') : '';
+        return `<th data-sort="${escapeAttr(col.key)}">${escapeHTML(col.label)}<span class="sort-indicator">${indicator}</span></th>`;
+    }).join('') + '</tr>';
+
+    const activeSet = filters.facets[sectorGroupKey];
+    dom.sectorBody.innerHTML = groups.map(g => {
+        const active = activeSet && activeSet.size === 1 && activeSet.has(g.sector) ? ' class="active"' : '';
+        const cells = [
+            `<td>${escapeHTML(g.sector)}</td>`,
+            `<td class="price-cell">${g.count}</td>`,
+            `<td class="price-cell change-up">${g.advance}</td>`,
+            `<td class="price-cell change-down">${g.decline}</td>`,
+            changeCellHTML(g.breadth),
+            ...metrics.flatMap(m => [changeCellHTML(g.stats[m.key].mean), changeCellHTML(g.stats[m.key].median)]),
+        ];
+        return `<tr data-sector="${escapeAttr(g.sector)}"${active}>${cells.join('')}</tr>`;
+    }).join('');
+
+    dom.sectorGroupToggle.querySelectorAll('button').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.group === sectorGroupKey);
+    });
+    showSection(dom.sectorSection, true);
+}
+
+/**
+ * 業種をクリックしたらメインの表をその業種に絞り込む（もう一度クリックで解除）
+ */
+function filterBySector(sector) {
+    const current = filters.facets[sectorGroupKey];
+    const isOnlySelection = current && current.size === 1 && current.has(sector);
+    filters.facets[sectorGroupKey] = isOnlySelection ? new Set() : new Set([sector]);
+
+    renderFilterPanel();
+    applyFilters();
+    if (!isOnlySelection) {
+        dom.tableSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+// ============================================
+// Portfolio (保有銘柄)
+// ============================================
+
+// ポートフォリオ表示（保有銘柄のみ）のときに表へ追加する列（値は portfolio.byCode から取る）
+const HOLDING_COLS = [
+    { key: 'shares', label: '保有株数', format: 'number', source: 'portfolio' },
+    { key: 'marketValue', label: '評価額', format: 'number', source: 'portfolio' },
+    { key: 'pnl', label: '評価損益', format: 'number', source: 'portfolio' },
+    { key: 'pnlPct', label: '損益率(%)', format: 'percent', source: 'portfolio' },
+    { key: 'dailyPnl', label: '当日損益', format: 'number', source: 'portfolio' },
+    { key: 'weight', label: '構成比(%)', format: 'number', source: 'portfolio' },
+];
+
+function normalizeHoldingCode(value) {
+    return String(value ?? '').normalize('NFKC').trim().toUpperCase();
+}
+
+/**
+ * 保有銘柄1件を検証して正規化する（不正なら null）
+ */
+function normalizeHolding(h) {
+    const code = normalizeHoldingCode(h?.code);
+    const shares = Number(h?.shares);
+    const avgCost = Number(h?.avgCost);
+    if (!code || !Number.isFinite(shares) || shares <= 0 || !Number.isFinite(avgCost) || avgCost < 0) return null;
+    return { code, shares, avgCost, account: String(h.account ?? '').trim() };
+}
+
+function loadHoldings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(HOLDINGS_KEY) || '{}');
+        return (saved.holdings || []).map(normalizeHolding).filter(Boolean);
+    } catch (e) {
+        console.warn('Failed to load holdings', e);
+        return [];
+    }
+}
+
+function saveHoldings() {
+    try {
+        localStorage.setItem(HOLDINGS_KEY, JSON.stringify({ version: 1, holdings }));
+    } catch (e) {
+        console.warn('Failed to save holdings', e);
+    }
+}
+
+/**
+ * 保有銘柄を追加する（同じコード・口座があれば置き換える）
+ */
+function upsertHoldings(list) {
+    for (const h of list) {
+        const idx = holdings.findIndex(x => x.code === h.code && x.account === h.account);
+        if (idx >= 0) holdings[idx] = h;
+        else holdings.push(h);
+    }
+    saveHoldings();
+    onHoldingsChanged();
+}
+
+function removeHolding(idx) {
+    holdings.splice(idx, 1);
+    saveHoldings();
+    onHoldingsChanged();
+}
+
+function onHoldingsChanged() {
+    refreshPortfolio();
+    if (filters.holdingsOnly) applyFilters();
+    else updateRunControls();
+}
+
+/**
+ * 取得済みの終値から評価額・損益・構成比を計算する
+ * 当日損益は1つ前の取引日の終値との差（比較期間の設定によらない）。終値のない銘柄は合計・構成比に含めない
+ */
+function computePortfolio() {
+    const rowsByCode = new Map();
+    for (const row of xlsData?.rows || []) {
+        const code = normalizeHoldingCode(row[COL.CODE]);
+        if (code && !rowsByCode.has(code)) rowsByCode.set(code, row);
+    }
+    // prevClose のない結果（以前に保存したもの）は前日比から逆算する
+    const oneDayKey = periodKey({ type: 'tradingDays', n: 1 });
+
+    const positions = holdings.map((h, idx) => {
+        const row = rowsByCode.get(h.code);
+        const pd = closingPrices[h.code];
+        const price = pd?.price ?? null;
+        const cost = h.shares * h.avgCost;
+        const marketValue = price !== null ? price * h.shares : null;
+        const pnl = marketValue !== null ? marketValue - cost : null;
+        const change1d = pd?.[oneDayKey];
+        let dailyPnl = null;
+        if (price !== null && pd.prevClose != null) dailyPnl = (price - pd.prevClose) * h.shares;
+        else if (marketValue !== null && change1d != null) dailyPnl = marketValue - marketValue / (1 + change1d / 100);
+        return {
+            ...h,
+            idx,
+            name: row ? String(row[COL.NAME] ?? '').trim() : '',
+            sector: (row && String(row[COL.SEC33_NAME] ?? '').trim()) || '（未分類）',
+            price,
+            cost,
+            marketValue,
+            pnl,
+            dailyPnl,
+        };
+    });
+
+    const priced = positions.filter(p => p.marketValue !== null);
+    const totals = {
+        marketValue: priced.reduce((sum, p) => sum + p.marketValue, 0),
+        cost: priced.reduce((sum, p) => sum + p.cost, 0),
+        pnl: priced.reduce((sum, p) => sum + p.pnl, 0),
+        dailyPnl: priced.reduce((sum, p) => sum + (p.dailyPnl ?? 0), 0),
+        count: positions.length,
+        pricedCount: priced.length,
+    };
+    const weightOf = (value) => (value !== null && totals.marketValue > 0 ? roundTo(value / totals.marketValue * 100, 2) : null);
+    const pctOf = (pnl, cost) => (pnl !== null && cost > 0 ? roundTo(pnl / cost * 100, 2) : null);
+
+    for (const p of positions) {
+        p.pnlPct = pctOf(p.pnl, p.cost);
+        p.weight = weightOf(p.marketValue);
+    }
+    totals.pnlPct = pctOf(totals.pnl, totals.cost);
+
+    // 銘柄コードごと（口座をまとめる）と 33業種ごとの集計
+    const byCode = new Map();
+    const sectorMap = new Map();
+    for (const p of positions) {
+        const c = byCode.get(p.code) || { shares: 0, cost: 0, marketValue: null, pnl: null, dailyPnl: null };
+        c.shares += p.shares;
+        c.cost += p.cost;
+        if (p.marketValue !== null) {
+            c.marketValue = (c.marketValue ?? 0) + p.marketValue;
+            c.pnl = (c.pnl ?? 0) + p.pnl;
+            if (p.dailyPnl !== null) c.dailyPnl = (c.dailyPnl ?? 0) + p.dailyPnl;
+        }
+        byCode.set(p.code, c);
+
+        if (p.marketValue === null) continue;
+        const s = sectorMap.get(p.sector) || { sector: p.sector, marketValue: 0, cost: 0, pnl: 0, count: 0 };
+        s.marketValue += p.marketValue;
+        s.cost += p.cost;
+        s.pnl += p.pnl;
+        s.count++;
+        sectorMap.set(p.sector, s);
+    }
+    for (const c of byCode.values()) {
+        c.pnlPct = pctOf(c.pnl, c.cost);
+        c.weight = weightOf(c.marketValue);
+        for (const key of ['marketValue', 'pnl', 'dailyPnl']) {
+            if (c[key] !== null) c[key] = Math.round(c[key]);
+        }
+    }
+    const sectors = Array.from(sectorMap.values())
+        .map(s => ({ ...s, weight: weightOf(s.marketValue), pnlPct: pctOf(s.pnl, s.cost) }))
+        .sort((a, b) => b.marketValue - a.marketValue);
+
+    return { positions, byCode, sectors, totals };
+}
+
+function formatYen(value) {
+    return value === null || value === undefined ? 'N/A' : Math.round(value).toLocaleString();
+}
+
+function signedYenCellHTML(value) {
+    if (value === null || value === undefined) return '<td class="price-cell no-price">N/A</td>';
+    const colorClass = value > 0 ? 'change-up' : value < 0 ? 'change-down' : '';
+    return `<td class="price-cell has-price ${colorClass}">${value > 0 ? '+' : ''}${formatYen(value)}</td>`;
+}
+
+/**
+ * 保有銘柄を再集計してポートフォリオ欄を描き直す
+ */
+function refreshPortfolio() {
+    portfolio = computePortfolio();
+    const { positions, sectors, totals } = portfolio;
+
+    dom.holdingsBody.innerHTML = positions.length === 0
+        ? '<tr><td colspan="12" class="no-price">保有銘柄が登録されていません。</td></tr>'
+        : positions.map(p => `<tr>
+            <td>${escapeHTML(p.code)}</td>
+            <td>${escapeHTML(p.name || '—')}</td>
+            <td>${escapeHTML(p.account || '—')}</td>
+            <td class="price-cell">${p.shares.toLocaleString()}</td>
+            <td class="price-cell">${p.avgCost.toLocaleString()}</td>
+            <td class="price-cell">${p.price !== null ? p.price.toLocaleString() : 'N/A'}</td>
+            <td class="price-cell">${formatYen(p.marketValue)}</td>
+            ${signedYenCellHTML(p.pnl)}
+            ${changeCellHTML(p.pnlPct)}
+            ${signedYenCellHTML(p.dailyPnl)}
+            <td class="price-cell">${p.weight !== null ? p.weight.toFixed(2) : 'N/A'}</td>
+            <td><button type="button" class="btn-remove" data-remove="${p.idx}" title="削除">✕</button></td>
+        </tr>`).join('');
+
+    dom.portfolioSectorBody.innerHTML = sectors.map(s => `<tr>
+        <td>${escapeHTML(s.sector)}</td>
+        <td class="price-cell">${s.count}</td>
+        <td class="price-cell">${formatYen(s.marketValue)}</td>
+        <td class="price-cell">${s.weight !== null ? s.weight.toFixed(2) : 'N/A'}</td>
+        ${signedYenCellHTML(s.pnl)}
+        ${changeCellHTML(s.pnlPct)}
+    </tr>`).join('');
+    showSection(dom.portfolioSectorWrapper, sectors.length > 0);
+
+    const sign = (v) => (v > 0 ? '+' : '');
+    dom.portfolioSummary.textContent = totals.pricedCount === 0
+        ? `${totals.count} 件`
+        : `評価額 ${formatYen(totals.marketValue)} / 損益 ${sign(totals.pnl)}${formatYen(totals.pnl)}`
+            + (totals.pnlPct !== null ? ` (${sign(totals.pnlPct)}${totals.pnlPct.toFixed(2)}%)` : '')
+            + ` / 当日 ${sign(totals.dailyPnl)}${formatYen(totals.dailyPnl)}`
+            + (totals.pricedCount < totals.count ? ` — 終値未取得 ${totals.count - totals.pricedCount} 件` : '');
+    dom.holdingsExportBtn.disabled = holdings.length === 0;
+}
+
+function addHoldingFromForm() {
+    const holding = normalizeHolding({
+        code: dom.holdingCodeInput.value,
+        shares: dom.holdingSharesInput.value,
+        avgCost: dom.holdingCostInput.value,
+        account: dom.holdingAccountInput.value
+    });
+    if (!holding) {
+        alert('コード・株数（正の数）・平均取得単価（0以上）を入力してください。');
+        return;
+    }
+    upsertHoldings([holding]);
+    dom.holdingCodeInput.value = '';
+    dom.holdingSharesInput.value = '';
+    dom.holdingCostInput.value = '';
+}
+
+/**
+ * 保有銘柄の JSON を読み込む（{ holdings: [...] } または配列。同じコード・口座は置き換え）
+ */
+async function handleHoldingsFile(file) {
+    try {
+        const data = JSON.parse(await file.text());
+        const list = Array.isArray(data) ? data : data?.holdings;
+        if (!Array.isArray(list)) throw new Error('holdings 配列がありません。');
+        const valid = list.map(normalizeHolding).filter(Boolean);
+        upsertHoldings(valid);
+        if (valid.length < list.length) {
+            alert(`${valid.length} 件を読み込みました（不正な ${list.length - valid.length} 件は読み飛ばしました）。`);
+        }
+    } catch (err) {
+        alert(`保有銘柄の読み込みに失敗しました: ${err.message}`);
+    }
+}
+
+function downloadHoldings() {
+    const blob = new Blob([JSON.stringify({ version: 1, holdings }, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, 'kabuka_holdings.json');
+}
+
+// ============================================
+// Table Rendering
+// ============================================
+
+/**
+ * 追加列の値（保有銘柄の列はポートフォリオの集計から取る）
+ */
+function getColumnValue(col, code, pd) {
+    if (col.source === 'portfolio') return portfolio?.byCode.get(normalizeHoldingCode(code))?.[col.key] ?? null;
+    return pd?.[col.key];
+}
+
+/**
+ * 表示・CSV 出力する追加列
+ */
+function getExtraCols() {
+    return buildOutputColumns({
+        periods: getComparisonPeriods(),
+        benchmark: !!benchmarkData,
+        fundamentals: displaySettings.showFundamentals,
+        indicators: displaySettings.showIndicators,
+        afterPrice: filters.holdingsOnly ? HOLDING_COLS : [],
+    });
+}
+
+/**
+ * 比較期間ごとの変動率の列
+ */
+function getPeriodCols() {
+    return buildPeriodColumns(getComparisonPeriods());
+}
+
+/**
+ * ベンチマーク比の列（ベンチマークを取得したときだけ表示）
+ */
+function getBenchmarkCols() {
+    return buildBenchmarkColumns(getComparisonPeriods());
+}
+
+function loadDisplaySettings() {
+    const defaults = { showIndicators: false, showFundamentals: false, periods: DEFAULT_COMPARISON_PERIODS, benchmark: '' };
+    try {
+        const saved = JSON.parse(localStorage.getItem(DISPLAY_SETTINGS_KEY) || '{}');
+        return { ...defaults, ...saved };
+    } catch (e) {
+        console.warn('Failed to load display settings', e);
+        return defaults;
+    }
+}
+
+function updateDisplaySettings(patch) {
+    displaySettings = { ...displaySettings, ...patch };
+    try {
+        localStorage.setItem(DISPLAY_SETTINGS_KEY, JSON.stringify(displaySettings));
+    } catch (e) {
+        console.warn('Failed to save display settings', e);
+    }
+}
+
+/**
+ * テクニカル指標列の表示を切り替える
+ */
+function toggleIndicatorColumns(show) {
+    updateDisplaySettings({ showIndicators: show });
+    renderTable();
+    if (dom.detailDialog.open && detailCode) renderDetailMetrics(closingPrices[detailCode]);
+}
+
+/**
+ * バリュエーション列（時価総額・PER・PBR など）の取得・表示を切り替える（値は次の取得から入る）
+ */
+function toggleFundamentalColumns(show) {
+    updateDisplaySettings({ showFundamentals: show });
+    renderTable();
+    if (dom.detailDialog.open && detailCode) renderDetailMetrics(closingPrices[detailCode]);
+}
+
+const TABLE_ROW_HEIGHT = 34; // 行の高さの初期値（描画後に実測値で置き換える）
+const TABLE_OVERSCAN = 12;   // 表示範囲の上下に余分に描画する行数
+
+// 仮想スクロール中の表の状態 { cols, extraCols, hasPrices, baseRows, rows, rowHeight, measured }
+// extraCols は cols のうち追加列（ヘッダーを作り直すときに1度だけ求め、行の描画で使い回す）
+let tableView = null;
+let tableScrollFrame = null;
+
+/**
+ * 表示する列を返す（価格取得後は追加列を含む）
+ */
+function getTableColumns(hasPrices) {
+    const cols = [...DISPLAY_COLS];
+    if (hasPrices) {
+        cols.push(...getExtraCols().map(c => ({ ...c, isExtra: true })));
+    }
+    return cols;
+}
+
+/**
+ * 表全体を作り直す（ファイル読み込み・取得完了・絞り込み変更時）
+ * ソート変更やスクロールでは renderVisibleRows のみを呼ぶ
+ */
+function renderTable() {
+    if (!xlsData) return;
+
+    const allRows = xlsData.rows;
+    const rows = getFilteredRows(allRows);
+    const hasPrices = Object.keys(closingPrices).length > 0;
+    const cols = getTableColumns(hasPrices);
+
+    dom.tableHead.innerHTML = '<tr>' + cols.map((col, idx) =>
+        `<th data-col="${idx}">${escapeHTML(col.label)}<span class="sort-indicator"></span></th>`
+    ).join('') + '</tr>';
+
+    tableView = {
+        cols,
+        extraCols: cols.filter(col => col.isExtra),
+        hasPrices,
+        baseRows: rows,
+        rows: getSortedRows(rows, hasPrices),
+        rowHeight: tableView?.rowHeight || TABLE_ROW_HEIGHT,
+        measured: tableView?.measured || false,
+    };
+    updateSortIndicators();
+
+    dom.tableRowCount.textContent = rows.length === allRows.length ? `${rows.length} 行` : `${rows.length} / ${allRows.length} 行`;
+    showSection(dom.tableSection);
+    renderVisibleRows();
+}
+
+/**
+ * 取得中の途中結果を表に反映する（列が変わらない間は表示中の行だけを描き直す）
+ */
+function refreshTableRows() {
+    const hasPrices = Object.keys(closingPrices).length > 0;
+    if (!tableView || tableView.hasPrices !== hasPrices) {
+        renderTable();
+        return;
+    }
+    tableView.rows = getSortedRows(tableView.baseRows, hasPrices);
+    renderVisibleRows();
+}
+
+function updateSortIndicators() {
+    dom.tableHead.querySelectorAll('th').forEach(th => {
+        const col = tableView.cols[parseInt(th.dataset.col)];
+        th.querySelector('.sort-indicator').textContent = col && col.key === sortColKey ? (sortAsc ? ' ▲' : ' ▼') : '';
+    });
+}
+
+/**
+ * ヘッダークリックでソートを切り替える（ヘッダーは作り直さない）
+ */
+function sortTableBy(colIdx) {
+    const col = tableView?.cols[colIdx];
+    if (!col) return;
+    if (sortColKey === col.key) {
+        sortAsc = !sortAsc;
+    } else {
+        sortColKey = col.key;
+        sortAsc = true;
+    }
+    updateSortIndicators();
+    tableView.rows = getSortedRows(tableView.baseRows, tableView.hasPrices);
+    renderVisibleRows();
+}
+
+/**
+ * スクロール位置に応じて表示範囲の行だけを描画する
+ * 範囲外は高さだけを持つスペーサー行で置き換える
+ */
+function renderVisibleRows() {
+    if (!tableView) return;
+
+    const { rows, cols, extraCols, rowHeight } = tableView;
+    const viewport = dom.tableWrapper;
+    const bodyScrollTop = Math.max(0, viewport.scrollTop - dom.tableHead.offsetHeight);
+    const visibleCount = Math.ceil((viewport.clientHeight || 600) / rowHeight) + TABLE_OVERSCAN * 2;
+    const start = Math.max(0, Math.floor(bodyScrollTop / rowHeight) - TABLE_OVERSCAN);
+    const end = Math.min(rows.length, start + visibleCount);
+
+    const spacer = (height) => height > 0
+        ? `<tr class="spacer-row" style="height:${height}px"><td colspan="${cols.length}"></td></tr>`
+        : '';
+
+    const highlighter = getScreenHighlighter();
+    const html = [spacer(start * rowHeight)];
+    for (let i = start; i < end; i++) {
+        html.push(renderRowHTML(rows[i], i, extraCols, highlighter));
+    }
+    html.push(spacer((rows.length - end) * rowHeight));
+    dom.tableBody.innerHTML = html.join('');
+
+    // 実際の行の高さを一度だけ測り、スペーサーの計算に使う
+    if (!tableView.measured) {
+        const firstRow = dom.tableBody.querySelector('tr[data-idx]');
+        if (firstRow && firstRow.offsetHeight > 0) {
+            tableView.measured = true;
+            if (firstRow.offsetHeight !== rowHeight) {
+                tableView.rowHeight = firstRow.offsetHeight;
+                renderVisibleRows();
+            }
+        }
+    }
+}
+
+function onTableScroll() {
+    if (tableScrollFrame) return;
+    tableScrollFrame = requestAnimationFrame(() => {
+        tableScrollFrame = null;
+        renderVisibleRows();
+    });
+}
+
+/**
+ * 1行分の HTML を生成する（extraCols は価格取得後の追加列、highlighter に一致した行は強調表示）
+ */
+function renderRowHTML(row, idx, extraCols, highlighter = null) {
+    const cells = DISPLAY_COLS.map(col => {
+        let val = row[col.key];
+        if (col.key === COL.DATE) {
+            // YYYYMMDD を YYYY/MM/DD に変換
+            const s = String(val).trim();
+            if (/^\d{8}$/.test(s)) {
+                val = `${s.substring(0, 4)}/${s.substring(4, 6)}/${s.substring(6, 8)}`;
+            }
+        }
+        return `<td>${escapeHTML(String(val ?? ''))}</td>`;
+    });
+
+    if (extraCols.length > 0) {
+        const code = String(row[COL.CODE] || '').trim();
+        const pd = closingPrices[code];
+
+        // 終値・変動率・VWAP・バリュエーション・テクニカル指標列
+        for (const col of extraCols) {
+            const val = getColumnValue(col, code, pd);
+            if (val === null || val === undefined) {
+                cells.push(`<td class="price-cell no-price">N/A</td>`);
+            } else if (col.format === 'percent') {
+                cells.push(changeCellHTML(val));
+            } else {
+                cells.push(`<td class="price-cell has-price">${val.toLocaleString()}</td>`);
+            }
+        }
+    }
+
+    const classes = [idx % 2 ? 'row-even' : '', highlighter && highlighter(row) === true ? 'screen-match' : ''];
+    return `<tr data-idx="${idx}" class="${classes.join(' ').trim()}">${cells.join('')}</tr>`;
+}
+
+function getSortedRows(rows, hasPrices) {
+    if (sortColKey === null) return rows;
+
+    // ソート中の列が表示されていなければ（ベンチマーク・指標などの列が外れた場合）並べ替えない
+    const displayCol = DISPLAY_COLS.find(col => col.key === sortColKey);
+    const extraCol = !displayCol && hasPrices ? getExtraCols().find(col => col.key === sortColKey) : null;
+    if (!displayCol && !extraCol) return rows;
+
+    const sorted = [...rows];
+
+    sorted.sort((a, b) => {
+        let valA, valB;
+
+        if (displayCol) {
+            // XLS 列
+            valA = String(a[displayCol.key] ?? '').trim();
+            valB = String(b[displayCol.key] ?? '').trim();
+        } else {
+            // 追加列
+            const codeA = String(a[COL.CODE] || '').trim();
+            const codeB = String(b[COL.CODE] || '').trim();
+            const pdA = closingPrices[codeA];
+            const pdB = closingPrices[codeB];
+
+            valA = getColumnValue(extraCol, codeA, pdA) ?? null;
+            valB = getColumnValue(extraCol, codeB, pdB) ?? null;
+
+            // null は常に末尾
             if (valA === null && valB === null) return 0;
             if (valA === null) return 1;
             if (valB === null) return -1;
             return sortAsc ? valA - valB : valB - valA;
         }
 
-        // 文字列比較（数値として解釈可能なら数値比較）
-        const numA = parseFloat(valA);
-        const numB = parseFloat(valB);
-        if (!isNaN(numA) && !isNaN(numB)) {
-            return sortAsc ? numA - numB : numB - numA;
+        // 文字列比較（数値として解釈可能なら数値比較）
+        const numA = parseFloat(valA);
+        const numB = parseFloat(valB);
+        if (!isNaN(numA) && !isNaN(numB)) {
+            return sortAsc ? numA - numB : numB - numA;
+        }
+
+        const cmp = String(valA).localeCompare(String(valB), 'ja');
+        return sortAsc ? cmp : -cmp;
+    });
+
+    return sorted;
+}
+
+// ============================================
+// Stock Detail
+// ============================================
+
+const DETAIL_ATTR_COLS = [
+    { key: COL.MARKET, label: '市場' },
+    { key: COL.SEC33_NAME, label: '33業種' },
+    { key: COL.SEC17_NAME, label: '17業種' },
+    { key: COL.SCALE_NAME, label: '規模' },
+];
+
+let detailCode = null;          // 詳細パネルで表示中の銘柄コード
+let detailChartType = 'candle'; // 'candle' | 'line'
+let detailAbort = null;         // 個別取得の AbortController
+
+// チャート用の足データを持っておく銘柄数（古く開いたものから捨てる）
+const SERIES_CACHE_SIZE = 20;
+
+function getStockSeries(code) {
+    const series = priceSeries.get(code);
+    if (!series) return null;
+    // 最近使ったものを末尾に移す
+    priceSeries.delete(code);
+    priceSeries.set(code, series);
+    return series;
+}
+
+function rememberStockSeries(code, series) {
+    priceSeries.delete(code);
+    priceSeries.set(code, series);
+    while (priceSeries.size > SERIES_CACHE_SIZE) {
+        priceSeries.delete(priceSeries.keys().next().value);
+    }
+}
+
+/**
+ * 銘柄の詳細パネルを開く（チャート用データが無ければその銘柄だけ取得する）
+ */
+function openStockDetail(row) {
+    const code = String(row[COL.CODE] || '').trim();
+    if (!code) return;
+    detailCode = code;
+
+    dom.detailTitle.textContent = `${code} ${String(row[COL.NAME] || '').trim()}`;
+    dom.detailAttrs.textContent = DETAIL_ATTR_COLS
+        .map(col => `${col.label}: ${String(row[col.key] ?? '').trim() || '—'}`)
+        .join(' / ');
+    renderDetailMetrics(closingPrices[code]);
+    dom.detailStatus.textContent = '';
+    if (!dom.detailDialog.open) dom.detailDialog.showModal();
+
+    if (getStockSeries(code)) {
+        drawDetailCharts();
+    } else {
+        clearDetailCharts();
+        loadStockSeries(code);
+    }
+}
+
+/**
+ * 1銘柄分の日足・5分足を取得する
+ */
+async function loadStockSeries(code) {
+    const row = xlsData?.rows.find(r => String(r[COL.CODE] ?? '').trim() === code);
+    const { ticker, reason } = resolveTicker(code, row ? row[COL.MARKET] : '', tickerOverrides);
+    if (!ticker) {
+        dom.detailStatus.textContent = `この銘柄は取得対象外です（${reason}）。`;
+        return;
+    }
+
+    if (detailAbort) detailAbort.abort();
+    const abortController = new AbortController();
+    detailAbort = abortController;
+    dom.detailStatus.textContent = 'チャート用データを取得中...';
+
+    try {
+        const provider = createProviderFromSettings(providerSettings, { continueRecording: true });
+        const targetDateStr = priceTargetDate || resolveTargetDate();
+        const { series, ...prices } = await fetchClosingPrice(ticker, targetDateStr, provider, {
+            signal: abortController.signal,
+            periods: getComparisonPeriods()
+        });
+        if (detailCode !== code) return;
+        if (prices.error) throw new Error(prices.error);
+
+        rememberStockSeries(code, series);
+        if (!closingPrices[code]) {
+            const relative = benchmarkData ? computeRelativeMetrics(prices, series.daily, benchmarkData, getComparisonPeriods()) : {};
+            renderDetailMetrics({ ...prices, ...relative });
+        }
+        dom.detailStatus.textContent = '';
+        drawDetailCharts();
+    } catch (err) {
+        if (isAbortError(err) || detailCode !== code) return;
+        dom.detailStatus.textContent = `取得に失敗しました: ${err.message}`;
+    } finally {
+        if (detailAbort === abortController) detailAbort = null;
+    }
+}
+
+function closeStockDetail() {
+    if (detailAbort) detailAbort.abort();
+    detailAbort = null;
+    detailCode = null;
+}
+
+function renderDetailMetrics(pd) {
+    dom.detailMetrics.innerHTML = getExtraCols().map(col => {
+        const val = getColumnValue(col, detailCode, pd);
+        let text = 'N/A';
+        let colorClass = '';
+        if (val !== null && val !== undefined) {
+            if (col.format === 'percent') {
+                text = `${val > 0 ? '+' : ''}${val.toFixed(2)}%`;
+                colorClass = val > 0 ? 'change-up' : val < 0 ? 'change-down' : '';
+            } else {
+                text = val.toLocaleString();
+            }
+        }
+        return `<div class="detail-metric">
+            <div class="detail-metric-label">${escapeHTML(col.label)}</div>
+            <div class="detail-metric-value ${colorClass}">${text}</div>
+        </div>`;
+    }).join('');
+}
+
+function drawDetailCharts() {
+    const series = priceSeries.get(detailCode);
+    if (!series) return;
+    drawDailyChart(dom.dailyChart, series.daily, detailChartType);
+    drawIntradayChart(dom.intradayChart, series.intraday);
+}
+
+function clearDetailCharts() {
+    for (const canvas of [dom.dailyChart, dom.intradayChart]) {
+        setupCanvas(canvas);
+    }
+}
+
+/**
+ * キャンバスを表示サイズ × devicePixelRatio に合わせて初期化する
+ */
+function setupCanvas(canvas) {
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    return { ctx, width, height };
+}
+
+function getChartColors() {
+    const style = getComputedStyle(document.documentElement);
+    const css = (name) => style.getPropertyValue(name).trim();
+    return {
+        up: css('--change-up'),
+        down: css('--change-down'),
+        line: css('--accent-light'),
+        vwap: css('--warning'),
+        grid: css('--border-color'),
+        text: css('--text-muted'),
+        volume: 'rgba(148, 163, 184, 0.35)',
+        font: `11px ${css('--font-main')}`,
+    };
+}
+
+/**
+ * 価格・出来高の2段チャートの座標系を作る
+ * 上段 72% を価格、下段 20% を出来高に使い、右端に価格目盛りを置く
+ */
+function createChartFrame(width, height, count, min, max, maxVolume) {
+    const pad = { left: 8, right: 60, top: 10, bottom: 22 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const priceH = plotH * 0.72;
+    const volTop = pad.top + plotH * 0.8;
+    const volH = plotH * 0.2;
+    const slot = plotW / Math.max(count, 1);
+    const range = max - min || Math.abs(max) * 0.01 || 1;
+
+    return {
+        pad, plotW, plotH, slot,
+        x: (i) => pad.left + slot * (i + 0.5),
+        y: (price) => pad.top + priceH * (1 - (price - min) / range),
+        volY: (vol) => volTop + volH * (1 - (maxVolume > 0 ? vol / maxVolume : 0)),
+        volBase: volTop + volH,
+    };
+}
+
+function drawChartGrid(ctx, frame, width, min, max, colors) {
+    ctx.font = colors.font;
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.strokeStyle = colors.grid;
+    ctx.fillStyle = colors.text;
+    ctx.lineWidth = 1;
+
+    const steps = 4;
+    for (let i = 0; i <= steps; i++) {
+        const price = min + (max - min) * i / steps;
+        const y = Math.round(frame.y(price)) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(frame.pad.left, y);
+        ctx.lineTo(width - frame.pad.right, y);
+        ctx.stroke();
+        ctx.fillText(formatChartPrice(price), width - frame.pad.right + 6, y);
+    }
+}
+
+/**
+ * 横軸のラベルを最大 maxLabels 個、等間隔で描く
+ */
+function drawChartXLabels(ctx, frame, height, labels, maxLabels, colors) {
+    if (labels.length === 0) return;
+    ctx.font = colors.font;
+    ctx.fillStyle = colors.text;
+    ctx.textBaseline = 'bottom';
+    ctx.textAlign = 'center';
+
+    const step = Math.max(1, Math.ceil(labels.length / maxLabels));
+    for (let i = 0; i < labels.length; i += step) {
+        ctx.fillText(labels[i], frame.x(i), height - 4);
+    }
+}
+
+function drawChartVolume(ctx, frame, bars, colors) {
+    ctx.fillStyle = colors.volume;
+    const barW = Math.max(1, frame.slot * 0.7);
+    bars.forEach((bar, i) => {
+        if (!bar.volume) return;
+        const top = frame.volY(bar.volume);
+        ctx.fillRect(frame.x(i) - barW / 2, top, barW, frame.volBase - top);
+    });
+}
+
+function drawChartLine(ctx, frame, values, color) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    let started = false;
+    values.forEach((v, i) => {
+        if (v === null || v === undefined) return;
+        if (started) ctx.lineTo(frame.x(i), frame.y(v));
+        else ctx.moveTo(frame.x(i), frame.y(v));
+        started = true;
+    });
+    ctx.stroke();
+}
+
+function drawChartEmpty(ctx, width, height, colors, message) {
+    ctx.font = colors.font;
+    ctx.fillStyle = colors.text;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(message, width / 2, height / 2);
+}
+
+function formatChartPrice(price) {
+    return price.toLocaleString(undefined, { maximumFractionDigits: price < 1000 ? 1 : 0 });
+}
+
+/**
+ * 日足チャート（ローソク足 or 終値ライン + 出来高）
+ */
+function drawDailyChart(canvas, bars, type) {
+    const { ctx, width, height } = setupCanvas(canvas);
+    const colors = getChartColors();
+    if (!bars || bars.length === 0) {
+        drawChartEmpty(ctx, width, height, colors, '日足データがありません');
+        return;
+    }
+
+    const useCandle = type === 'candle';
+    let min = Infinity;
+    let max = -Infinity;
+    let maxVolume = 0;
+    for (const bar of bars) {
+        min = Math.min(min, useCandle ? (bar.low ?? bar.close) : bar.close);
+        max = Math.max(max, useCandle ? (bar.high ?? bar.close) : bar.close);
+        maxVolume = Math.max(maxVolume, bar.volume || 0);
+    }
+
+    const frame = createChartFrame(width, height, bars.length, min, max, maxVolume);
+    drawChartGrid(ctx, frame, width, min, max, colors);
+    drawChartVolume(ctx, frame, bars, colors);
+
+    if (useCandle) {
+        const bodyW = Math.max(1, frame.slot * 0.6);
+        bars.forEach((bar, i) => {
+            const open = bar.open ?? bar.close;
+            const high = bar.high ?? Math.max(open, bar.close);
+            const low = bar.low ?? Math.min(open, bar.close);
+            const x = frame.x(i);
+            ctx.strokeStyle = ctx.fillStyle = bar.close >= open ? colors.up : colors.down;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x, frame.y(high));
+            ctx.lineTo(x, frame.y(low));
+            ctx.stroke();
+            const top = frame.y(Math.max(open, bar.close));
+            const bodyH = Math.max(1, frame.y(Math.min(open, bar.close)) - top);
+            ctx.fillRect(x - bodyW / 2, top, bodyW, bodyH);
+        });
+    } else {
+        drawChartLine(ctx, frame, bars.map(bar => bar.close), colors.line);
+    }
+
+    const labels = bars.map(bar => formatDateStr(tsToJstYmd(bar.ts)).substring(2));
+    drawChartXLabels(ctx, frame, height, labels, 6, colors);
+}
+
+/**
+ * 基準日の5分足チャート（終値ライン・累積VWAP・出来高）
+ */
+function drawIntradayChart(canvas, bars) {
+    const { ctx, width, height } = setupCanvas(canvas);
+    const colors = getChartColors();
+    if (!bars || bars.length === 0) {
+        drawChartEmpty(ctx, width, height, colors, '5分足データがありません（取得期間外の可能性があります）');
+        return;
+    }
+
+    // 取得時と同じく典型価格 (H+L+C)/3 × 出来高の累積で VWAP を求める
+    const vwapLine = [];
+    let totalTypicalVolume = 0;
+    let totalVolume = 0;
+    for (const bar of bars) {
+        if (bar.high != null && bar.low != null && bar.close != null && bar.volume > 0) {
+            totalTypicalVolume += (bar.high + bar.low + bar.close) / 3 * bar.volume;
+            totalVolume += bar.volume;
+        }
+        vwapLine.push(totalVolume > 0 ? totalTypicalVolume / totalVolume : null);
+    }
+
+    const closes = bars.map(bar => bar.close ?? null);
+    const values = [...closes, ...vwapLine].filter(v => v !== null);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const maxVolume = Math.max(0, ...bars.map(bar => bar.volume || 0));
+
+    const frame = createChartFrame(width, height, bars.length, min, max, maxVolume);
+    drawChartGrid(ctx, frame, width, min, max, colors);
+    drawChartVolume(ctx, frame, bars, colors);
+    drawChartLine(ctx, frame, closes, colors.line);
+    drawChartLine(ctx, frame, vwapLine, colors.vwap);
+
+    // 凡例
+    ctx.font = colors.font;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = colors.line;
+    ctx.fillText('終値', frame.pad.left + 4, frame.pad.top);
+    ctx.fillStyle = colors.vwap;
+    ctx.fillText('VWAP', frame.pad.left + 40, frame.pad.top);
+
+    const labels = bars.map(bar => formatJstTime(bar.ts));
+    drawChartXLabels(ctx, frame, height, labels, 7, colors);
+}
+
+// ============================================
+// CSV Export
+// ============================================
+
+function generateOutputCSV() {
+    if (!xlsData) return '';
+    return generateCSV(
+        getFilteredRows(xlsData.rows),
+        getExtraCols(),
+        (col, code) => getColumnValue(col, code, closingPrices[code])
+    );
+}
+
+function downloadCSV() {
+    const csvContent = generateOutputCSV();
+    if (!csvContent) return;
+
+    // BOM付きUTF-8
+    const bom = '\uFEFF';
+    const blob = new Blob([bom + csvContent], { type: 'text/csv;charset=utf-8;' });
+
+    downloadBlob(blob, `kabuka_data_${getJstClock().ymd}.csv`);
+}
+
+// ============================================
+// Export (XLSX / JSON)
+// ============================================
+
+/**
+ * 書き出せる列（XLS の列と、表に表示中の追加列）
+ * id は XLS の列なら COL のキー、追加列なら結果のキー
+ */
+function getExportColumns() {
+    const colNames = Object.keys(COL);
+    return [
+        ...DISPLAY_COLS.map(col => ({
+            id: colNames.find(name => COL[name] === col.key),
+            label: col.label,
+            type: 'text',
+            get: (row) => {
+                const val = String(row[col.key] ?? '').trim();
+                return col.key === COL.DATE && /^\d{8}$/.test(val) ? formatDateStr(val) : val;
+            }
+        })),
+        ...getExtraCols().map(col => ({
+            id: col.key,
+            label: col.label,
+            type: 'number',
+            format: col.format,
+            get: (row) => {
+                const code = String(row[COL.CODE] || '').trim();
+                return getColumnValue(col, code, closingPrices[code]) ?? null;
+            }
+        })),
+    ];
+}
+
+/**
+ * 現在の絞り込み・並び順どおりの行
+ */
+function getExportRows() {
+    if (tableView) return tableView.rows;
+    const hasPrices = Object.keys(closingPrices).length > 0;
+    return getSortedRows(getFilteredRows(xlsData.rows), hasPrices);
+}
+
+function getSelectedExportColumns() {
+    const hidden = new Set(displaySettings.exportHiddenColumns || []);
+    return getExportColumns().filter(col => !hidden.has(col.id));
+}
+
+function openExportDialog() {
+    if (!xlsData) return;
+    const hidden = new Set(displaySettings.exportHiddenColumns || []);
+    dom.exportColumns.innerHTML = getExportColumns().map(col =>
+        `<label class="settings-check"><input type="checkbox" data-col="${escapeAttr(col.id)}"${hidden.has(col.id) ? '' : ' checked'}> ${escapeHTML(col.label)}</label>`
+    ).join('');
+    dom.exportFormatSelect.value = displaySettings.exportFormat || 'xlsx';
+    dom.exportMissingSelect.value = displaySettings.exportMissing || 'blank';
+    dom.exportHint.textContent = `${getExportRows().length} 行（現在の絞り込み・並び順）を書き出します。`;
+    dom.exportDialog.showModal();
+}
+
+function setAllExportColumns(checked) {
+    dom.exportColumns.querySelectorAll('input[data-col]').forEach(input => {
+        input.checked = checked;
+    });
+}
+
+/**
+ * ダイアログの選択を保存して書き出す
+ */
+function runExport() {
+    const hidden = [];
+    dom.exportColumns.querySelectorAll('input[data-col]').forEach(input => {
+        if (!input.checked) hidden.push(input.dataset.col);
+    });
+    updateDisplaySettings({
+        exportHiddenColumns: hidden,
+        exportFormat: dom.exportFormatSelect.value,
+        exportMissing: dom.exportMissingSelect.value
+    });
+
+    const columns = getSelectedExportColumns();
+    if (columns.length === 0) {
+        dom.exportHint.textContent = '出力する列を1つ以上選択してください。';
+        return;
+    }
+
+    const options = { columns, missing: displaySettings.exportMissing };
+    try {
+        if (displaySettings.exportFormat === 'json') {
+            downloadJSONExport(options);
+        } else {
+            downloadXLSXExport(options);
+        }
+        dom.exportDialog.close();
+    } catch (err) {
+        dom.exportHint.textContent = `書き出しに失敗しました: ${err.message}`;
+    }
+}
+
+/**
+ * 実行情報（基準日・実行日時・元ファイルなど）を [項目, 値] の配列で返す
+ */
+function getRunMetadata(rowCount) {
+    const successN = Object.values(closingPrices).filter(v => v.price !== null).length;
+    const naN = Object.values(closingPrices).filter(v => v.price === null).length;
+    return [
+        ['基準日', priceTargetDate ? formatDateStr(priceTargetDate) : ''],
+        ['取得開始', lastRun ? formatJstDateTime(lastRun.startedAt) : ''],
+        ['取得完了', lastRun ? formatJstDateTime(lastRun.finishedAt) : ''],
+        ['取得の状態', lastRun ? (lastRun.cancelled ? 'キャンセル' : '完了') : '未取得'],
+        ['データソース', lastRun ? lastRun.provider : ''],
+        ['ベンチマーク', benchmarkData ? benchmarkData.ticker : ''],
+        ['元ファイル', currentFile ? currentFile.name : ''],
+        ['書き出し日時', formatJstDateTime(Date.now())],
+        ['出力行数', rowCount],
+        ['成功', successN],
+        ['N/A', naN],
+        ['エラー', errorMessages.length],
+        ['絞り込み', dom.filterSummary.textContent],
+        ['スクリーン', screener.mode === 'filter' ? (screener.draft.name || '（未保存）') : ''],
+    ];
+}
+
+/**
+ * 業種別サマリーを [見出し行, ...データ行] で返す（数値はそのまま）
+ */
+function getSectorSummaryTable(rows, groupKey) {
+    const metrics = getSectorMetrics();
+    const header = [
+        groupKey === 'SEC33_NAME' ? '33業種' : '17業種', '銘柄数', '上昇', '下落', '騰落差(%)',
+        ...metrics.flatMap(m => [`${m.label} 平均(%)`, `${m.label} 中央値(%)`])
+    ];
+    const body = aggregateBySector(rows, groupKey)
+        .sort((a, b) => b.count - a.count)
+        .map(g => [
+            g.sector, g.count, g.advance, g.decline, g.breadth,
+            ...metrics.flatMap(m => [g.stats[m.key].mean, g.stats[m.key].median])
+        ]);
+    return [header, ...body];
+}
+
+/**
+ * 配列からシートを作る。null は欠損値の設定に従い空欄か 'N/A' にする
+ */
+function createSheet(aoa, missing) {
+    const data = aoa.map(row => row.map(val => (val === null || val === undefined ? (missing === 'na' ? 'N/A' : null) : val)));
+    const sheet = XLSX.utils.aoa_to_sheet(data);
+    sheet['!cols'] = (aoa[0] || []).map((_, c) => ({
+        wch: Math.min(40, Math.max(...aoa.map(row => String(row[c] ?? '').length * 2), 6))
+    }));
+    return sheet;
+}
+
+function downloadXLSXExport({ columns, missing }) {
+    const rows = getExportRows();
+    const workbook = XLSX.utils.book_new();
+
+    // データ（数値列は数値セル、変動率などは小数2桁の表示形式）
+    const dataSheet = createSheet([columns.map(c => c.label), ...rows.map(row => columns.map(c => c.get(row)))], missing);
+    columns.forEach((col, c) => {
+        if (col.format !== 'percent') return;
+        for (let r = 1; r <= rows.length; r++) {
+            const cell = dataSheet[XLSX.utils.encode_cell({ r, c })];
+            if (cell && cell.t === 'n') cell.z = '0.00';
         }
+    });
+    XLSX.utils.book_append_sheet(workbook, dataSheet, 'データ');
 
-        const cmp = String(valA).localeCompare(String(valB), 'ja');
-        return sortAsc ? cmp : -cmp;
+    XLSX.utils.book_append_sheet(workbook, createSheet([
+        ['コード', '銘柄名', 'ティッカー', 'エラー'],
+        ...errorMessages.map(e => [e.code, e.name, e.ticker, e.error])
+    ], missing), 'エラーログ');
+
+    XLSX.utils.book_append_sheet(workbook, createSheet([['項目', '値'], ...getRunMetadata(rows.length)], missing), '実行情報');
+
+    if (Object.keys(closingPrices).length > 0) {
+        const filteredRows = getFilteredRows(xlsData.rows);
+        XLSX.utils.book_append_sheet(workbook, createSheet(getSectorSummaryTable(filteredRows, 'SEC33_NAME'), missing), '33業種別');
+        XLSX.utils.book_append_sheet(workbook, createSheet(getSectorSummaryTable(filteredRows, 'SEC17_NAME'), missing), '17業種別');
+    }
+
+    const buffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    downloadBlob(blob, `kabuka_data_${getJstClock().ymd}.xlsx`);
+}
+
+function downloadJSONExport({ columns, missing }) {
+    const rows = getExportRows();
+    const missingValue = missing === 'na' ? 'N/A' : null;
+    const toValue = (val) => (val === null || val === undefined ? missingValue : val);
+    const toObjects = ([header, ...body]) => body.map(row => Object.fromEntries(header.map((h, i) => [h, toValue(row[i])])));
+    const hasPrices = Object.keys(closingPrices).length > 0;
+    const filteredRows = getFilteredRows(xlsData.rows);
+
+    const payload = {
+        meta: Object.fromEntries(getRunMetadata(rows.length)),
+        columns: columns.map(c => ({ id: c.id, label: c.label })),
+        rows: rows.map(row => Object.fromEntries(columns.map(c => [c.id, toValue(c.get(row))]))),
+        errors: errorMessages.map(({ code, name, ticker, error }) => ({ code, name, ticker, error })),
+        sectors: hasPrices ? {
+            SEC33_NAME: toObjects(getSectorSummaryTable(filteredRows, 'SEC33_NAME')),
+            SEC17_NAME: toObjects(getSectorSummaryTable(filteredRows, 'SEC17_NAME')),
+        } : null,
+    };
+
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `kabuka_data_${getJstClock().ymd}.json`);
+}
+
+// ============================================
+// Snapshot History (履歴)
+// ============================================
+//
+// 取得ごとの結果と銘柄一覧をスナップショットとして IndexedDB に保存する。
+// 一覧表示用のメタ情報（snapshotMeta）と本体（snapshotData）を分けて保存し、
+// 履歴パネルでは本体を読み込まずに一覧を出す。
+
+// スナップショットに保存する銘柄一覧の列（差分の比較対象）
+const SNAPSHOT_LIST_COLS = ['CODE', 'NAME', 'MARKET', 'SEC33_NAME', 'SEC17_NAME', 'SCALE_NAME'];
+const SNAPSHOT_ATTR_COLS = ['MARKET', 'SEC33_NAME', 'SEC17_NAME', 'SCALE_NAME'];
+
+async function withSnapshotStores(mode, fn) {
+    const db = await openCacheDB();
+    const tx = db.transaction([SNAPSHOT_META_STORE, SNAPSHOT_DATA_STORE], mode);
+    const result = fn(tx.objectStore(SNAPSHOT_META_STORE), tx.objectStore(SNAPSHOT_DATA_STORE));
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
     });
+    return result && 'result' in result ? result.result : undefined;
+}
 
-    return sorted;
+/**
+ * 現在の一覧と結果をスナップショットとして保存する（同じ id は上書き）
+ * kind: 'run'（取得結果） / 'list'（一覧のみ）
+ */
+async function saveSnapshot(id, kind) {
+    const list = [];
+    const seen = new Set();
+    for (const row of xlsData.rows) {
+        const code = String(row[COL.CODE] ?? '').trim();
+        if (!code || seen.has(code)) continue;
+        seen.add(code);
+        list.push(SNAPSHOT_LIST_COLS.map(key => String(row[COL[key]] ?? '').trim()));
+    }
+    const results = kind === 'run' ? closingPrices : {};
+
+    const meta = {
+        id,
+        kind,
+        createdAt: new Date().toISOString(),
+        targetDateStr: kind === 'run' ? priceTargetDate : getXlsDate(xlsData.rows),
+        fileName: currentFile ? currentFile.name : '',
+        listCount: list.length,
+        pricedCount: Object.values(results).filter(v => v.price !== null).length,
+        errorCount: kind === 'run' ? errorMessages.length : 0,
+        provider: kind === 'run' && lastRun ? lastRun.provider : '',
+    };
+
+    await withSnapshotStores('readwrite', (metaStore, dataStore) => {
+        metaStore.put(meta);
+        dataStore.put({ id, list, results });
+    });
+    await pruneSnapshots();
+}
+
+/**
+ * 古いスナップショットを SNAPSHOT_LIMIT 件まで削除する
+ */
+async function pruneSnapshots() {
+    const metas = await listSnapshots();
+    const excess = metas.slice(SNAPSHOT_LIMIT);
+    if (excess.length === 0) return;
+    await withSnapshotStores('readwrite', (metaStore, dataStore) => {
+        for (const meta of excess) {
+            metaStore.delete(meta.id);
+            dataStore.delete(meta.id);
+        }
+    });
+}
+
+/**
+ * スナップショットのメタ情報（新しい順）
+ */
+async function listSnapshots() {
+    const metas = await withSnapshotStores('readonly', metaStore => metaStore.getAll());
+    return metas.sort((a, b) => b.id - a.id);
+}
+
+async function loadSnapshot(id) {
+    const [meta, data] = await Promise.all([
+        withSnapshotStores('readonly', metaStore => metaStore.get(id)),
+        withSnapshotStores('readonly', (metaStore, dataStore) => dataStore.get(id)),
+    ]);
+    if (!meta || !data) throw new Error('スナップショットが見つかりません。');
+    return { ...meta, ...data };
+}
+
+function deleteSnapshot(id) {
+    return withSnapshotStores('readwrite', (metaStore, dataStore) => {
+        metaStore.delete(id);
+        dataStore.delete(id);
+    });
+}
+
+/**
+ * 取得完了時に結果を保存する（再取得は直前のスナップショットを上書き）
+ */
+async function saveRunSnapshot(id) {
+    if (!isHistoryCacheAvailable() || Object.keys(closingPrices).length === 0) return;
+    try {
+        await saveSnapshot(id, 'run');
+    } catch (e) {
+        console.warn('Failed to save snapshot', e);
+    }
+    renderHistoryPanel();
+}
+
+async function saveListSnapshot() {
+    if (!xlsData) return;
+    try {
+        await saveSnapshot(Date.now(), 'list');
+    } catch (err) {
+        alert(`スナップショットの保存に失敗しました: ${err.message}`);
+    }
+    renderHistoryPanel();
+}
+
+function listToMap(list) {
+    const map = new Map();
+    for (const values of list) {
+        map.set(values[0], Object.fromEntries(SNAPSHOT_LIST_COLS.map((key, i) => [key, values[i]])));
+    }
+    return map;
+}
+
+/**
+ * 指定した項目の値で順位（大きい順、1始まり）を付ける
+ */
+function rankBy(results, key) {
+    const entries = Object.entries(results)
+        .filter(([, pd]) => pd[key] !== null && pd[key] !== undefined)
+        .sort((a, b) => b[1][key] - a[1][key]);
+    return new Map(entries.map(([code], i) => [code, i + 1]));
+}
+
+/**
+ * 2つのスナップショットの終値・順位の差分（両方に存在する銘柄）
+ */
+function diffSnapshotPrices(a, b, rankKey) {
+    const names = listToMap(b.list);
+    const rankA = rankBy(a.results, rankKey);
+    const rankB = rankBy(b.results, rankKey);
+    const rows = [];
+    for (const [code, pdB] of Object.entries(b.results)) {
+        const pdA = a.results[code];
+        if (!pdA) continue;
+        const priceA = pdA.price ?? null;
+        const priceB = pdB.price ?? null;
+        if (priceA === null && priceB === null) continue;
+        const ra = rankA.get(code) ?? null;
+        const rb = rankB.get(code) ?? null;
+        rows.push({
+            code,
+            name: names.get(code)?.NAME || '',
+            priceA,
+            priceB,
+            priceChange: calcChangeRate(priceB, priceA),
+            rankA: ra,
+            rankB: rb,
+            // 正の値は順位が上がった（数字が小さくなった）ことを表す
+            rankChange: ra !== null && rb !== null ? ra - rb : null,
+        });
+    }
+    return rows;
+}
+
+/**
+ * 2つの銘柄一覧の差分（新規・削除・市場区分や業種の変更）
+ */
+function diffSnapshotLists(a, b) {
+    const listA = listToMap(a.list);
+    const listB = listToMap(b.list);
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    for (const [code, item] of listB) {
+        const before = listA.get(code);
+        if (!before) {
+            added.push(item);
+            continue;
+        }
+        for (const key of SNAPSHOT_ATTR_COLS) {
+            if (before[key] !== item[key]) {
+                changed.push({ code, name: item.NAME, field: COLUMN_LABELS[key], before: before[key], after: item[key] });
+            }
+        }
+    }
+    for (const [code, item] of listA) {
+        if (!listB.has(code)) removed.push(item);
+    }
+    return { added, removed, changed };
+}
+
+function snapshotLabel(meta) {
+    const created = formatJstDateTime(meta.createdAt);
+    const kind = meta.kind === 'run' ? '取得' : '一覧';
+    const date = meta.targetDateStr ? formatDateStr(meta.targetDateStr) : '—';
+    return `${created} [${kind}] 基準日 ${date} — ${meta.fileName || '—'}`;
+}
+
+async function renderHistoryPanel() {
+    if (!isHistoryCacheAvailable()) return;
+    let metas;
+    try {
+        metas = await listSnapshots();
+    } catch (e) {
+        console.warn('Failed to list snapshots', e);
+        dom.historyBody.innerHTML = '<tr><td colspan="7" class="no-price">履歴を読み込めませんでした。</td></tr>';
+        return;
+    }
+
+    dom.historyBody.innerHTML = metas.length === 0
+        ? '<tr><td colspan="7" class="no-price">保存されたスナップショットはありません。</td></tr>'
+        : metas.map(m => `<tr>
+            <td>${escapeHTML(formatJstDateTime(m.createdAt))}</td>
+            <td>${m.kind === 'run' ? '取得' : '一覧'}</td>
+            <td>${m.targetDateStr ? formatDateStr(m.targetDateStr) : '—'}</td>
+            <td>${escapeHTML(m.fileName || '—')}</td>
+            <td class="price-cell">${m.listCount}</td>
+            <td class="price-cell">${m.kind === 'run' ? `${m.pricedCount} / エラー ${m.errorCount}` : '—'}</td>
+            <td><button type="button" class="btn-remove" data-delete="${m.id}" title="削除">✕</button></td>
+        </tr>`).join('');
+
+    const options = metas.map(m => `<option value="${m.id}">${escapeHTML(snapshotLabel(m))}</option>`).join('');
+    const prevA = dom.historySelectA.value;
+    const prevB = dom.historySelectB.value;
+    dom.historySelectA.innerHTML = options;
+    dom.historySelectB.innerHTML = options;
+    // 既定は「1つ前」と「最新」の比較
+    dom.historySelectA.value = metas.some(m => String(m.id) === prevA) ? prevA : String(metas[1]?.id ?? metas[0]?.id ?? '');
+    dom.historySelectB.value = metas.some(m => String(m.id) === prevB) ? prevB : String(metas[0]?.id ?? '');
+    dom.historyCompareBtn.disabled = metas.length < 2;
+    dom.historySaveListBtn.disabled = !xlsData;
+    showSection(dom.historySection, true);
+}
+
+/**
+ * 選択した2つのスナップショットを比較して差分を表示する
+ */
+async function compareSnapshots() {
+    const idA = Number(dom.historySelectA.value);
+    const idB = Number(dom.historySelectB.value);
+    if (!idA || !idB || idA === idB) {
+        dom.historyDiff.innerHTML = '<p class="filter-note">異なる2つのスナップショットを選択してください。</p>';
+        return;
+    }
+
+    let a;
+    let b;
+    try {
+        [a, b] = await Promise.all([loadSnapshot(idA), loadSnapshot(idB)]);
+    } catch (err) {
+        dom.historyDiff.innerHTML = `<p class="filter-note">${escapeHTML(err.message)}</p>`;
+        return;
+    }
+
+    // 順位の基準: 両方の結果にある数値項目から選ぶ（既定は先頭の比較期間）
+    const numberFields = getScreenFields().filter(f => f.type === 'number' && f.col.source !== 'portfolio');
+    const hasKey = (snap, key) => Object.values(snap.results).some(pd => pd[key] !== null && pd[key] !== undefined);
+    const rankFields = numberFields.filter(f => hasKey(a, f.id) && hasKey(b, f.id));
+    const prevRankKey = dom.historyRankSelect.value;
+    dom.historyRankSelect.innerHTML = rankFields.map(f => `<option value="${escapeAttr(f.id)}">${escapeHTML(f.label)}</option>`).join('');
+    const defaultKey = rankFields.find(f => f.id === periodKey(getComparisonPeriods()[0]))?.id || rankFields[0]?.id || '';
+    dom.historyRankSelect.value = rankFields.some(f => f.id === prevRankKey) ? prevRankKey : defaultKey;
+    dom.historyRankSelect.disabled = rankFields.length === 0;
+
+    const rankKey = dom.historyRankSelect.value;
+    const priceRows = rankKey ? diffSnapshotPrices(a, b, rankKey) : [];
+    priceRows.sort((x, y) => Math.abs(y.rankChange ?? 0) - Math.abs(x.rankChange ?? 0));
+    const { added, removed, changed } = diffSnapshotLists(a, b);
+
+    const rankCell = (v) => (v === null ? '<td class="price-cell no-price">—</td>' : `<td class="price-cell">${v}</td>`);
+    const rankChangeCell = (v) => {
+        if (v === null) return '<td class="price-cell no-price">—</td>';
+        const colorClass = v > 0 ? 'change-up' : v < 0 ? 'change-down' : '';
+        return `<td class="price-cell ${colorClass}">${v > 0 ? '↑' + v : v < 0 ? '↓' + -v : '0'}</td>`;
+    };
+    const priceCell = (v) => (v === null ? '<td class="price-cell no-price">N/A</td>' : `<td class="price-cell">${v.toLocaleString()}</td>`);
+    const listRows = (items) => items.map(item => `<tr>
+        <td>${escapeHTML(item.CODE)}</td>
+        <td>${escapeHTML(item.NAME)}</td>
+        <td>${escapeHTML(item.MARKET)}</td>
+        <td>${escapeHTML(item.SEC33_NAME)}</td>
+    </tr>`).join('');
+    const listTable = (items) => items.length === 0 ? '<p class="filter-note">該当なし</p>' : `<div class="table-wrapper sector-table-wrapper">
+        <table class="data-table"><thead><tr><th>コード</th><th>銘柄名</th><th>市場・商品区分</th><th>33業種区分</th></tr></thead>
+        <tbody>${listRows(items)}</tbody></table></div>`;
+
+    dom.historyDiff.innerHTML = `
+        <details class="settings-panel" open>
+            <summary>終値・順位の変化（${priceRows.length} 銘柄）</summary>
+            ${priceRows.length === 0 ? '<p class="filter-note">両方に結果がある銘柄はありません。</p>' : `<div class="table-wrapper sector-table-wrapper">
+                <table class="data-table">
+                    <thead><tr><th>コード</th><th>銘柄名</th><th>終値 (比較元)</th><th>終値 (比較先)</th><th>変化率(%)</th><th>順位 (比較元)</th><th>順位 (比較先)</th><th>順位の変化</th></tr></thead>
+                    <tbody>${priceRows.map(r => `<tr>
+                        <td>${escapeHTML(r.code)}</td>
+                        <td>${escapeHTML(r.name)}</td>
+                        ${priceCell(r.priceA)}
+                        ${priceCell(r.priceB)}
+                        ${changeCellHTML(r.priceChange)}
+                        ${rankCell(r.rankA)}
+                        ${rankCell(r.rankB)}
+                        ${rankChangeCell(r.rankChange)}
+                    </tr>`).join('')}</tbody>
+                </table>
+            </div>`}
+        </details>
+        <details class="settings-panel" open>
+            <summary>新規（比較先のみ）: ${added.length} 銘柄</summary>
+            ${listTable(added)}
+        </details>
+        <details class="settings-panel" open>
+            <summary>削除（比較元のみ）: ${removed.length} 銘柄</summary>
+            ${listTable(removed)}
+        </details>
+        <details class="settings-panel" open>
+            <summary>区分・業種の変更: ${changed.length} 件</summary>
+            ${changed.length === 0 ? '<p class="filter-note">該当なし</p>' : `<div class="table-wrapper sector-table-wrapper">
+                <table class="data-table">
+                    <thead><tr><th>コード</th><th>銘柄名</th><th>項目</th><th>変更前</th><th>変更後</th></tr></thead>
+                    <tbody>${changed.map(c => `<tr>
+                        <td>${escapeHTML(c.code)}</td>
+                        <td>${escapeHTML(c.name)}</td>
+                        <td>${escapeHTML(c.field)}</td>
+                        <td>${escapeHTML(c.before || '—')}</td>
+                        <td>${escapeHTML(c.after || '—')}</td>
+                    </tr>`).join('')}</tbody>
+                </table>
+            </div>`}
+        </details>`;
+}
+
+async function handleHistoryDelete(id) {
+    if (!confirm('このスナップショットを削除しますか？')) return;
+    try {
+        await deleteSnapshot(id);
+    } catch (err) {
+        alert(`削除に失敗しました: ${err.message}`);
+    }
+    renderHistoryPanel();
 }
 
 // ============================================
-// CSV Export
+// Offline (PWA)
 // ============================================
+//
+// Service Worker（sw.js）でアプリ本体をキャッシュし、読み込んだ一覧（入力を含む）と直近の取得結果を
+// IndexedDB に保存しておく。次に開いたときはネットワークなしで前回の表と CSV を使える。
+// チャート用の足データ（priceSeries）は大きいため保存せず、詳細パネルを開いたときに取得し直す。
 
-function generateOutputCSV() {
-    if (!xlsData) return '';
+const LAST_SESSION_ID = 'last';
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    navigator.serviceWorker.register('sw.js').catch(err => {
+        console.warn('Failed to register service worker', err);
+    });
+}
+
+async function withSessionStore(mode, fn) {
+    const db = await openCacheDB();
+    const store = db.transaction(SESSION_STORE, mode).objectStore(SESSION_STORE);
+    return idbRequest(fn(store));
+}
+
+/**
+ * 保存用に入力を縮める（表の入力は元の表だけを残し、行は復元時に作り直す）
+ */
+function packInputSource(source) {
+    if (source.kind !== 'table') return source;
+    const { table, headerRowIdx, mapping, sheetName } = source.data;
+    return { ...source, data: { table, headerRowIdx, mapping, sheetName } };
+}
+
+function unpackInputSource(source) {
+    if (source.kind !== 'table' || source.data.rows) return source;
+    const { table, headerRowIdx, mapping, sheetName } = source.data;
+    return { ...source, data: buildXlsData(table, headerRowIdx, mapping, sheetName) };
+}
+
+/**
+ * 読み込んだ一覧と取得結果を保存する（取得中は完了時にまとめて保存する）
+ */
+async function saveLastSession() {
+    if (!isHistoryCacheAvailable() || !xlsData) return;
+    // 一覧は入力から作り直せるので、入力があれば一覧（xlsData）は保存しない
+    const session = {
+        id: LAST_SESSION_ID,
+        savedAt: Date.now(),
+        file: currentFile,
+        xlsData: inputSources.length > 0 ? null : xlsData,
+        inputSources: inputSources.map(packInputSource),
+        closingPrices,
+        errorMessages,
+        priceTargetDate,
+        benchmarkData,
+        lastRun,
+    };
+    try {
+        await withSessionStore('readwrite', store => store.put(session));
+    } catch (e) {
+        console.warn('Failed to save last session', e);
+    }
+}
+
+async function clearLastSession() {
+    if (!isHistoryCacheAvailable()) return;
+    try {
+        await withSessionStore('readwrite', store => store.delete(LAST_SESSION_ID));
+    } catch (e) {
+        console.warn('Failed to clear last session', e);
+    }
+}
+
+/**
+ * 前回の一覧と取得結果を復元する（起動時に1度だけ）
+ */
+async function restoreLastSession() {
+    if (!isHistoryCacheAvailable()) return;
+    let session;
+    try {
+        session = await withSessionStore('readonly', store => store.get(LAST_SESSION_ID));
+    } catch (e) {
+        console.warn('Failed to restore last session', e);
+        return;
+    }
+    // 復元を待つ間に別のファイルを読み込んだ場合はそちらを優先する
+    if (!session || xlsData) return;
+
+    let sources = session.inputSources || [];
+    let restored = session.xlsData;
+    try {
+        if (!restored) {
+            sources = sources.map(unpackInputSource);
+            restored = mergeInputSources(sources, jpxMaster);
+        }
+    } catch (e) {
+        console.warn('Failed to restore last session', e);
+        return;
+    }
+
+    loadParsedData(restored, session.file);
+    inputSources = sources;
+    closingPrices = session.closingPrices || {};
+    errorMessages = session.errorMessages || [];
+    priceTargetDate = session.priceTargetDate || null;
+    benchmarkData = session.benchmarkData || null;
+    lastRun = session.lastRun || null;
+
+    const hasPrices = Object.keys(closingPrices).length > 0;
+    if (hasPrices) {
+        showResults();
+        renderTable();
+        dom.downloadBtn.disabled = false;
+        dom.exportBtn.disabled = false;
+        updateRunControls();
+    }
+    dom.sessionNotice.textContent = hasPrices
+        ? `前回の結果を表示しています（基準日: ${formatDateStr(priceTargetDate)} · 保存: ${formatJstDateTime(session.savedAt)}）。最新の値は「終値・変動率を取得」で取得し直してください。`
+        : `前回読み込んだファイルを表示しています（保存: ${formatJstDateTime(session.savedAt)}）。`;
+    showSection(dom.sessionNotice, true);
+}
+
+// ============================================
+// JPX Master (入力の補完に使う銘柄一覧)
+// ============================================
+//
+// JPX の銘柄一覧（data_j.xls）を読み込んだら IndexedDB に保存しておき、
+// あとからコードだけの入力を読み込んだときの銘柄名・業種の補完に使う。
+
+const JPX_MASTER_ID = 'master';
+
+async function loadJpxMaster() {
+    if (isHistoryCacheAvailable()) {
+        try {
+            jpxMaster = (await withSessionStore('readonly', store => store.get(JPX_MASTER_ID))) || null;
+        } catch (e) {
+            console.warn('Failed to load JPX master', e);
+        }
+    }
+    renderMasterStatus();
+}
+
+async function saveJpxMaster(sources) {
+    const rows = sources.flatMap(source => source.data.rows);
+    jpxMaster = {
+        id: JPX_MASTER_ID,
+        label: sources.map(source => source.label).join('、'),
+        rows,
+        listDate: getXlsDate(rows),
+        savedAt: Date.now(),
+    };
+    renderMasterStatus();
+    if (!isHistoryCacheAvailable()) return;
+    try {
+        await withSessionStore('readwrite', store => store.put(jpxMaster));
+    } catch (e) {
+        console.warn('Failed to save JPX master', e);
+    }
+}
+
+function renderMasterStatus() {
+    dom.masterStatus.textContent = jpxMaster
+        ? `JPX の銘柄一覧「${jpxMaster.label}」（${jpxMaster.rows.length.toLocaleString()} 銘柄${jpxMaster.listDate ? ` · ${formatDateStr(jpxMaster.listDate)} 時点` : ''}）で銘柄名・業種を補完します。`
+        : 'JPX の銘柄一覧（data_j.xls）を一緒に読み込むと、銘柄名・業種を補完できます。一度読み込めば次回以降も使います。';
+}
+
+// ============================================
+// File Handling
+// ============================================
+
+/**
+ * 入力ファイル（XLS・XLSX・CSV・TXT。複数可）を読み込む
+ * append: true なら今の一覧に追加する
+ */
+async function handleFiles(fileList, { append = false } = {}) {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    const sources = [];
+    const failures = [];
+    for (const file of files) {
+        if (!INPUT_EXTENSIONS.includes(getFileExtension(file.name))) {
+            failures.push(`${file.name}: XLS / XLSX / CSV / TXT ファイルを選択してください`);
+            continue;
+        }
+        try {
+            const source = await parseInputInBackground(await file.arrayBuffer(), file.name);
+            sources.push({ ...source, size: file.size });
+        } catch (err) {
+            if (err.detection && files.length === 1 && !append) {
+                // 見出しから列を判定できない場合は手動で対応付けてもらう
+                openMappingDialog(err.detection, file, err.message);
+                return;
+            }
+            console.error(err);
+            failures.push(`${file.name}: ${err.message}`);
+        }
+    }
+
+    if (failures.length > 0) {
+        alert('ファイルの読み込みに失敗しました:\n' + failures.join('\n'));
+    }
+    if (sources.length > 0) {
+        loadInputSources(sources, { append });
+    }
+}
+
+/**
+ * 貼り付けたテキストからコードを読み込む（一覧を読み込み済みなら追加する）
+ */
+function handlePastedCodes() {
+    const text = dom.codePasteText.value;
+    if (!text.trim()) return;
+
+    let source;
+    try {
+        source = { label: '貼り付けたコード', size: new TextEncoder().encode(text).length, ...parseTextInput(text) };
+    } catch (err) {
+        alert(err.message);
+        return;
+    }
+    if (loadInputSources([source], { append: !!xlsData })) {
+        dom.codePasteText.value = '';
+    }
+}
+
+/**
+ * 入力を1つの一覧にまとめて読み込む。JPX の銘柄一覧が含まれていれば次回以降の補完用に保存する
+ * 戻り値: 読み込めたかどうか
+ */
+function loadInputSources(sources, { append = false } = {}) {
+    const all = append ? [...getCurrentSources(), ...sources] : sources;
+    let merged;
+    try {
+        merged = mergeInputSources(all, jpxMaster);
+    } catch (err) {
+        alert('ファイルの読み込みに失敗しました: ' + err.message);
+        return false;
+    }
+
+    inputSources = all;
+    loadParsedData(merged, {
+        name: all.length === 1 ? all[0].label : `${all[0].label} ほか${all.length - 1}件`,
+        size: all.reduce((sum, source) => sum + (source.size || 0), 0)
+    });
+
+    const masters = all.filter(source => source.kind === 'table' && isMasterData(source.data));
+    if (masters.length > 0) saveJpxMaster(masters);
+    saveLastSession();
+    return true;
+}
 
-    const { header, rows } = xlsData;
-    const lines = [];
+/**
+ * 追加の前に、今の一覧のもとになった入力を返す（入力の記録がない一覧はそれ自体を1つの入力とする）
+ */
+function getCurrentSources() {
+    if (inputSources.length > 0 || !xlsData) return inputSources;
+    return [{ label: currentFile ? currentFile.name : '読み込んだ一覧', size: currentFile ? currentFile.size : 0, kind: 'table', data: xlsData }];
+}
 
-    // ヘッダー行
-    const csvHeader = [
-        ...DISPLAY_COLS.map(c => c.label),
-        ...EXTRA_COLS.map(c => c.label)
-    ];
-    lines.push(csvHeader.join(','));
+/**
+ * 解析済みデータを読み込み、画面を初期状態に戻す
+ */
+function loadParsedData(parsed, file) {
+    discardFetch();
+    xlsData = parsed;
+    currentFile = { name: file.name, size: file.size };
+    showSection(dom.sessionNotice, false);
+    dom.codePasteBtn.textContent = '一覧に追加';
+    closingPrices = {};
+    priceSeries.clear();
+    benchmarkData = null;
+    errorMessages = [];
+    filters = createEmptyFilters();
+    sortColKey = null;
+    sortAsc = true;
 
-    // データ行
-    for (const row of rows) {
-        const cells = DISPLAY_COLS.map(col => {
-            let val = String(row[col.key] ?? '').trim();
-            if (col.key === COL.DATE) {
-                const s = val;
-                if (/^\d{8}$/.test(s)) {
-                    val = `${s.substring(0, 4)}/${s.substring(4, 6)}/${s.substring(6, 8)}`;
-                }
-            }
-            // カンマや引用符を含む場合は引用符で囲む
-            if (val.includes(',') || val.includes('"') || val.includes('\n')) {
-                return '"' + val.replace(/"/g, '""') + '"';
-            }
-            return val;
-        });
+    // ファイル情報を表示
+    dom.fileName.textContent = file.name;
+    dom.fileSize.textContent = formatFileSize(file.size);
+    dom.rowCount.textContent = xlsData.rows.length;
+    renderParseReport();
 
-        const code = String(row[COL.CODE] || '').trim();
-        const pd = closingPrices[code];
+    showSection(dom.fileInfo, true);
+    dom.dropZone.style.display = 'none';
 
-        // 終値
-        cells.push(pd && pd.price !== null ? String(pd.price) : 'N/A');
+    showSection(dom.actionSection, true);
+    showSection(dom.portfolioSection, true);
+    showSection(dom.screenerSection, true);
+    dom.downloadBtn.disabled = true;
+    dom.exportBtn.disabled = true;
+    updateRunControls();
+    renderDateOptions();
+    renderFilterPanel();
+    refreshPortfolio();
+    renderScreenBuilder();
+    renderHistoryPanel();
+
+    // テーブルをすぐに表示
+    renderTable();
 
-        // 数値・変動率・VWAP
-        for (const key of ['volume', 'change1d', 'change7d', 'change30d', 'change90d', 'change180d', 'volumeChange1d', 'vwap', 'vwapDev']) {
-            const val = pd?.[key];
-            if (val !== null && val !== undefined) {
-                cells.push(key === 'vwap' || key === 'volume' ? String(val) : val.toFixed(2));
-            } else {
-                cells.push('N/A');
-            }
-        }
+    // 結果・エラー・進捗を非表示
+    showSection(dom.resultsSection, false);
+    showSection(dom.errorSection, false);
+    showSection(dom.sectorSection, false);
+    showSection(dom.progressSection, false);
+}
 
-        lines.push(cells.join(','));
+/**
+ * 列の対応と読み飛ばした行を表示する
+ */
+function renderParseReport() {
+    const { mapping, header, skipped, sheetName, sources = [], unmatched = [], master = null, merged = false } = xlsData;
+
+    if (merged) {
+        // 複数の入力・コードの一覧をまとめた一覧は入力ごとの内訳を表示する
+        const items = sources.map(source => {
+            const detail = source.master
+                ? '銘柄名・業種の補完に使用'
+                : `${source.count} 銘柄${source.kind === 'codes' ? '（コードのみ）' : ''}`;
+            const encoding = source.encoding ? ` · ${source.encoding}` : '';
+            return `<li>${escapeHTML(source.label)} ← ${escapeHTML(detail)}${escapeHTML(encoding)}</li>`;
+        });
+        dom.parseReportTitle.textContent = '入力の内訳・読み飛ばした行';
+        dom.mappingSummary.innerHTML = `<p class="report-title">入力の内訳</p><ul>${items.join('')}</ul>`;
+    } else {
+        const mapped = Object.keys(COLUMN_LABELS).map(key => {
+            const idx = mapping[key];
+            if (idx === undefined) return `<li class="mapping-missing">${escapeHTML(COLUMN_LABELS[key])} ← なし</li>`;
+            return `<li>${escapeHTML(COLUMN_LABELS[key])} ← ${columnLetter(idx)}列「${escapeHTML(header[idx] || '')}」</li>`;
+        });
+        dom.parseReportTitle.textContent = '列の対応・読み飛ばした行';
+        dom.mappingSummary.innerHTML = `<p class="report-title">シート「${escapeHTML(sheetName)}」の列の対応</p><ul>${mapped.join('')}</ul>`;
     }
+    dom.remapBtn.style.display = merged ? 'none' : '';
+
+    const counts = [];
+    if (skipped.length > 0) counts.push(`${skipped.length} 行をスキップ`);
+    if (unmatched.length > 0) counts.push(`一覧にないコード ${unmatched.length} 件`);
+    dom.skippedCount.textContent = counts.map(c => ` · ${c}`).join('');
+    dom.skippedLog.innerHTML = skipped.length > 0
+        ? `<p class="report-title">読み飛ばした行</p>` + skipped.map(s =>
+            `<div class="error-entry"><span class="error-code">${s.row}行目</span> ${escapeHTML(s.reason)}</div>`
+        ).join('')
+        : '';
+
+    const unmatchedTitle = master
+        ? `JPX の銘柄一覧（${master}）にないコード — 銘柄名・業種は空欄です`
+        : 'JPX の銘柄一覧が読み込まれていないため、銘柄名・業種を補完できませんでした';
+    dom.unmatchedLog.innerHTML = unmatched.length > 0
+        ? `<p class="report-title">${escapeHTML(unmatchedTitle)}</p>` + unmatched.map(u =>
+            `<div class="error-entry"><span class="error-code">${escapeHTML(u.code)}</span> ${escapeHTML(u.source)}</div>`
+        ).join('')
+        : '';
+    // 一覧にないコードがあれば開いて知らせる
+    dom.parseReport.open = unmatched.length > 0;
+    showSection(dom.parseReport, true);
+}
 
-    return lines.join('\r\n');
+function columnLetter(idx) {
+    let s = '';
+    for (let n = idx + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        s = String.fromCharCode(65 + (n - 1) % 26) + s;
+    }
+    return s;
 }
 
-function downloadCSV() {
-    const csvContent = generateOutputCSV();
-    if (!csvContent) return;
+// ============================================
+// Column Mapping Dialog
+// ============================================
 
-    // BOM付きUTF-8
-    const bom = '\uFEFF';
-    const blob = new Blob([bom + csvContent], { type: 'text/csv;charset=utf-8;' });
+let mappingContext = null; // { table, sheetName, file }
 
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
+/**
+ * 列の対応を手動で指定するダイアログを開く
+ */
+function openMappingDialog(detection, file, message = '') {
+    mappingContext = { table: detection.table, sheetName: detection.sheetName, file };
 
-    const now = new Date();
-    const ts = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
-    a.download = `kabuka_data_${ts}.csv`;
+    dom.mappingHint.textContent = message
+        ? `${message}。見出し行と各項目に対応する列を選択してください。`
+        : '見出し行と各項目に対応する列を選択してください。';
 
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    const scanRows = Math.min(HEADER_SCAN_ROWS, detection.table.length);
+    dom.mappingHeaderRow.innerHTML = Array.from({ length: scanRows }, (_, r) =>
+        `<option value="${r}">${r + 1}行目</option>`
+    ).join('');
+    dom.mappingHeaderRow.value = String(detection.headerRowIdx);
+
+    renderMappingFields(detection.mapping);
+    dom.mappingDialog.showModal();
 }
 
-// ============================================
-// File Handling
-// ============================================
+function renderMappingFields(mapping) {
+    const headerRow = mappingContext.table[Number(dom.mappingHeaderRow.value)] || [];
+    const options = ['<option value="">（なし）</option>', ...headerRow.map((cell, idx) =>
+        `<option value="${idx}">${columnLetter(idx)}列: ${escapeHTML(String(cell).trim() || '(空)')}</option>`
+    )].join('');
+
+    dom.mappingGrid.innerHTML = Object.keys(COLUMN_LABELS).map(key => {
+        const required = REQUIRED_COLUMNS.includes(key) ? ' <span class="required-mark">*</span>' : '';
+        return `<label class="settings-field">
+            <span class="settings-label">${escapeHTML(COLUMN_LABELS[key])}${required}</span>
+            <select data-key="${key}">${options}</select>
+        </label>`;
+    }).join('');
 
-function handleFile(file) {
-    if (!file) return;
+    dom.mappingGrid.querySelectorAll('select').forEach(select => {
+        const idx = mapping[select.dataset.key];
+        select.value = idx === undefined ? '' : String(idx);
+    });
+}
 
-    const ext = file.name.split('.').pop().toLowerCase();
-    if (!['xls', 'xlsx'].includes(ext)) {
-        alert('XLS または XLSX ファイルを選択してください。');
-        return;
-    }
+function applyMappingDialog() {
+    const mapping = {};
+    dom.mappingGrid.querySelectorAll('select').forEach(select => {
+        if (select.value !== '') mapping[select.dataset.key] = Number(select.value);
+    });
 
-    const reader = new FileReader();
-    reader.onload = (e) => {
-        try {
-            xlsData = parseXLS(e.target.result);
-            closingPrices = {};
-            errorMessages = [];
-            sortColIdx = -1;
-            sortAsc = true;
-
-            // ファイル情報を表示
-            dom.fileName.textContent = file.name;
-            dom.fileSize.textContent = formatFileSize(file.size);
-            dom.rowCount.textContent = xlsData.rows.length;
-
-            showSection(dom.fileInfo, true);
-            dom.dropZone.style.display = 'none';
-
-            showSection(dom.actionSection, true);
-            dom.downloadBtn.disabled = true;
-
-            // テーブルをすぐに表示
-            renderTable();
-
-            // 結果・エラー・進捗を非表示
-            showSection(dom.resultsSection, false);
-            showSection(dom.errorSection, false);
-            showSection(dom.progressSection, false);
-        } catch (err) {
-            alert('ファイルの読み込みに失敗しました: ' + err.message);
-            console.error(err);
-        }
-    };
-    reader.readAsArrayBuffer(file);
+    try {
+        const parsed = buildXlsData(mappingContext.table, Number(dom.mappingHeaderRow.value), mapping, mappingContext.sheetName);
+        dom.mappingDialog.close();
+        const { file } = mappingContext;
+        loadInputSources([{ label: file.name, size: file.size, kind: 'table', data: parsed }]);
+        mappingContext = null;
+    } catch (err) {
+        dom.mappingHint.textContent = err.message;
+    }
 }
 
 function resetFile() {
+    discardFetch();
     xlsData = null;
+    currentFile = null;
+    inputSources = [];
+    filters = createEmptyFilters();
     closingPrices = {};
+    priceSeries.clear();
+    benchmarkData = null;
     errorMessages = [];
-    sortColIdx = -1;
+    sortColKey = null;
     sortAsc = true;
 
     dom.dropZone.style.display = '';
+    dom.codePasteBtn.textContent = 'コードを読み込む';
     showSection(dom.fileInfo, false);
+    showSection(dom.sessionNotice, false);
+    showSection(dom.parseReport, false);
     showSection(dom.actionSection, false);
+    showSection(dom.portfolioSection, false);
+    showSection(dom.screenerSection, false);
+    showSection(dom.filterSection, false);
+    showSection(dom.sectorSection, false);
     showSection(dom.progressSection, false);
     showSection(dom.resultsSection, false);
     showSection(dom.errorSection, false);
     showSection(dom.tableSection, false);
+    tableView = null;
 
     dom.fileInput.value = '';
     dom.downloadBtn.disabled = true;
+    dom.exportBtn.disabled = true;
+    updateRunControls();
+    clearLastSession();
+}
+
+// ============================================
+// Reference Date (基準日)
+// ============================================
+
+/**
+ * 基準日の選択肢を現在のファイルに合わせて更新する
+ */
+function renderDateOptions() {
+    const xlsDate = xlsData ? getXlsDate(xlsData.rows) : null;
+    const xlsOption = dom.dateModeSelect.querySelector('option[value="xls"]');
+    xlsOption.textContent = xlsDate ? `XLSファイルの日付 (${formatDateStr(xlsDate)})` : 'XLSファイルの日付 (なし)';
+    xlsOption.disabled = !xlsDate;
+    if (!xlsDate && dom.dateModeSelect.value === 'xls') {
+        dom.dateModeSelect.value = 'latest';
+    }
+
+    dom.targetDateInput.disabled = dom.dateModeSelect.value !== 'custom';
+    dom.targetDateInput.max = ymdToIso(getJstClock().ymd); // JST の今日
+
+    renderMarketStatus();
+}
+
+const MARKET_SESSION_LABELS = {
+    pre: '寄り付き前',
+    morning: '前場 取引中',
+    lunch: '昼休み',
+    afternoon: '後場 取引中',
+    closed: '取引終了',
+};
+
+/**
+ * 市場の状態と「最新の終値」で使われる日付を表示する
+ */
+function renderMarketStatus() {
+    const status = getMarketStatus();
+    const close = `${Math.floor(status.closeMinutes / 60)}:${String(status.closeMinutes % 60).padStart(2, '0')}`;
+    const label = isTradingDay(status.ymd) ? `${MARKET_SESSION_LABELS[status.session]}（大引け ${close}）` : '休場日';
+    let text = `東証: ${label} · 最新の終値: ${formatDateStr(getTargetDate())}`;
+    if (!isCalendarCovered(status.ymd)) {
+        text += ' ⚠ 今年の休場日データがありません（カレンダーを更新してください）';
+    }
+    dom.marketStatus.textContent = text;
+}
+
+/**
+ * localStorage に保存した休場日の更新データ（なければ null）
+ */
+function loadCalendarUpdate() {
+    try {
+        return JSON.parse(localStorage.getItem(JPX_CALENDAR_KEY) || 'null');
+    } catch (e) {
+        console.warn('Failed to load JPX calendar update', e);
+        return null;
+    }
+}
+
+function saveCalendarUpdate(update) {
+    localStorage.setItem(JPX_CALENDAR_KEY, JSON.stringify(update));
+    setCalendarUpdate(update);
+}
+
+function clearCalendarUpdate() {
+    localStorage.removeItem(JPX_CALENDAR_KEY);
+    setCalendarUpdate(null);
+}
+
+function renderCalendarStatus() {
+    const { years, updatedAt } = getJpxCalendar();
+    const source = updatedAt ? `更新 ${formatJstDate(updatedAt)}` : '組み込み';
+    dom.calendarStatus.textContent = `${years.from}〜${years.to}年（${source}）`;
+    dom.calendarResetBtn.disabled = !updatedAt;
+}
+
+/**
+ * JPX 休業日の更新ファイル（JSON）を読み込む
+ */
+async function handleCalendarFile(file) {
+    try {
+        const update = normalizeCalendarUpdate(JSON.parse(await file.text()));
+        saveCalendarUpdate(update);
+    } catch (err) {
+        alert(`カレンダーの読み込みに失敗しました: ${err.message}`);
+    }
+    renderCalendarStatus();
+    renderDateOptions();
+}
+
+/**
+ * 選択された基準日を YYYYMMDD 文字列で返す
+ * - latest: 最新の終値（getTargetDate）
+ * - xls:    XLS の日付列
+ * - custom: 日付ピッカーで指定した日
+ */
+function resolveTargetDate() {
+    switch (dom.dateModeSelect.value) {
+        case 'xls': {
+            const xlsDate = xlsData ? getXlsDate(xlsData.rows) : null;
+            if (!xlsDate) throw new Error('XLSファイルに有効な日付がありません。');
+            return xlsDate;
+        }
+        case 'custom': {
+            const value = dom.targetDateInput.value; // YYYY-MM-DD
+            if (!value) throw new Error('基準日を指定してください。');
+            const dateStr = parseYmd(value);
+            if (!dateStr) throw new Error('基準日の形式が正しくありません。');
+            if (dateStr > getJstClock().ymd) throw new Error('未来の日付は指定できません。');
+            return dateStr;
+        }
+        default:
+            return getTargetDate();
+    }
+}
+
+// ============================================
+// Comparison Period Settings
+// ============================================
+
+/**
+ * 設定済みの比較期間（重複を除く）
+ */
+function getComparisonPeriods() {
+    const seen = new Set();
+    const periods = [];
+    for (const p of displaySettings.periods || DEFAULT_COMPARISON_PERIODS) {
+        const period = normalizePeriod(p);
+        if (!period || seen.has(periodKey(period))) continue;
+        seen.add(periodKey(period));
+        periods.push(period);
+    }
+    return periods;
+}
+
+function renderPeriodSettings() {
+    dom.periodList.innerHTML = getComparisonPeriods().map((p, idx) =>
+        `<button type="button" class="filter-chip active" data-idx="${idx}" title="クリックで削除">${escapeHTML(periodLabel(p))} <span class="chip-count">✕</span></button>`
+    ).join('');
+
+    const def = PERIOD_TYPES[dom.periodTypeSelect.value];
+    dom.periodNInput.hidden = !def.needsN;
+    dom.periodDateInput.hidden = !def.needsDate;
+    dom.periodDateInput.max = ymdToIso(getJstClock().ymd); // JST の今日
+}
+
+/**
+ * 比較期間の変更を保存し、表・業種別サマリーの列を作り直す
+ */
+function setComparisonPeriods(periods) {
+    updateDisplaySettings({ periods });
+    renderPeriodSettings();
+    if (xlsData) {
+        renderTable();
+        renderSectorSummary();
+    }
+}
+
+function addComparisonPeriod() {
+    const period = normalizePeriod({
+        type: dom.periodTypeSelect.value,
+        n: dom.periodNInput.value,
+        date: dom.periodDateInput.value
+    });
+    if (!period) {
+        alert(PERIOD_TYPES[dom.periodTypeSelect.value].needsDate
+            ? '起点日を指定してください。'
+            : `1〜${MAX_PERIOD_N} の整数を指定してください。`);
+        return;
+    }
+
+    const periods = getComparisonPeriods();
+    if (periods.some(p => periodKey(p) === periodKey(period))) {
+        alert(`「${periodLabel(period)}」は既に追加されています。`);
+        return;
+    }
+    setComparisonPeriods([...periods, period]);
+}
+
+function removeComparisonPeriod(idx) {
+    const periods = getComparisonPeriods();
+    if (periods.length <= 1) {
+        alert('比較期間は1つ以上必要です。');
+        return;
+    }
+    setComparisonPeriods(periods.filter((_, i) => i !== idx));
+}
+
+// ============================================
+// Provider Settings
+// ============================================
+
+function renderProviderSettings() {
+    dom.providerSelect.value = providerSettings.type;
+    dom.proxyInput.value = providerSettings.proxyBase;
+    dom.apiBaseInput.value = providerSettings.apiBase;
+    dom.recordToggle.checked = providerSettings.record;
+    dom.cacheToggle.checked = providerSettings.useCache;
+
+    const isFixture = providerSettings.type === 'fixture';
+    dom.proxyInput.disabled = isFixture;
+    dom.apiBaseInput.disabled = isFixture;
+    dom.cacheToggle.disabled = isFixture || !isHistoryCacheAvailable();
+
+    const fixtureCount = fixtureBundle ? Object.keys(fixtureBundle.entries).length : 0;
+    dom.fixtureStatus.textContent = fixtureBundle ? `${fixtureCount} 銘柄分の記録を読み込み済み` : '未読み込み';
+    dom.recordDownloadBtn.disabled = !recordingBundle;
+}
+
+function updateProviderSettings(patch) {
+    providerSettings = { ...providerSettings, ...patch };
+    saveProviderSettings();
+    renderProviderSettings();
+}
+
+/**
+ * 記録済み JSON ファイル（複数可）を読み込んでフィクスチャとして登録する
+ */
+async function handleFixtureFiles(files) {
+    let bundle = fixtureBundle;
+    for (const file of files) {
+        try {
+            const parsed = JSON.parse(await file.text());
+            if (!parsed || typeof parsed.entries !== 'object') {
+                throw new Error('entries がありません');
+            }
+            bundle = mergeBundles(bundle, parsed);
+        } catch (err) {
+            alert(`フィクスチャの読み込みに失敗しました (${file.name}): ${err.message}`);
+        }
+    }
+    fixtureBundle = bundle;
+    renderProviderSettings();
+}
+
+function loadTickerOverrides() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(TICKER_OVERRIDES_KEY) || '{}');
+        return normalizeTickerOverrides(saved.overrides);
+    } catch (e) {
+        console.warn('Failed to load ticker overrides', e);
+        return {};
+    }
+}
+
+function saveTickerOverrides() {
+    try {
+        localStorage.setItem(TICKER_OVERRIDES_KEY, JSON.stringify({ version: 1, overrides: tickerOverrides }));
+    } catch (e) {
+        console.warn('Failed to save ticker overrides', e);
+    }
+}
+
+function renderTickerOverrides() {
+    const count = Object.keys(tickerOverrides).length;
+    dom.tickerOverridesStatus.textContent = count > 0 ? `${count} 件` : 'なし';
+    dom.tickerOverridesText.value = formatTickerOverrideText(tickerOverrides);
+    dom.tickerOverridesExportBtn.disabled = count === 0;
+}
+
+function applyTickerOverrides(overrides) {
+    tickerOverrides = overrides;
+    saveTickerOverrides();
+    renderTickerOverrides();
+    updateRunControls();
+}
+
+function saveTickerOverridesFromText() {
+    try {
+        applyTickerOverrides(parseTickerOverrideText(dom.tickerOverridesText.value));
+    } catch (err) {
+        alert(`ティッカーの上書きを保存できません: ${err.message}`);
+    }
+}
+
+/**
+ * 上書き設定のファイルを読み込み、既存の設定に追加する（同じコードは置き換える）
+ */
+async function handleTickerOverridesFile(file) {
+    try {
+        const imported = parseTickerOverridesFile(await file.text(), file.name);
+        applyTickerOverrides({ ...tickerOverrides, ...imported });
+    } catch (err) {
+        alert(`ティッカーの上書きの読み込みに失敗しました: ${err.message}`);
+    }
+}
+
+function downloadTickerOverrides() {
+    const blob = new Blob([JSON.stringify({ version: 1, overrides: tickerOverrides }, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, 'kabuka_ticker_overrides.json');
+}
+
+/**
+ * キャッシュの件数・サイズ・最終更新日時を表示する
+ */
+async function refreshCacheStatus() {
+    if (!isHistoryCacheAvailable()) {
+        dom.cacheStatus.textContent = 'キャッシュ: 利用不可';
+        return;
+    }
+    try {
+        const { count, bytes, lastUpdated } = await getHistoryCacheStats();
+        const updated = lastUpdated ? formatJstDateTime(lastUpdated) : '—';
+        dom.cacheStatus.textContent = `キャッシュ: ${count} 銘柄 / ${formatFileSize(bytes)} · 最終更新 ${updated}`;
+    } catch (e) {
+        console.warn('Failed to read cache stats', e);
+        dom.cacheStatus.textContent = 'キャッシュ: 読み込み失敗';
+    }
+}
+
+async function invalidateCachedTicker() {
+    const input = dom.cacheCodeInput.value.trim();
+    if (!input) return;
+
+    // 一覧にあるコードはその市場区分で解決する（名証・札証・福証の単独上場銘柄は .T 以外になる）
+    const code = input.toUpperCase();
+    const row = xlsData?.rows.find(r => String(r[COL.CODE] ?? '').trim().toUpperCase() === code);
+    const ticker = input.includes('.') ? code : toTicker(code, row ? row[COL.MARKET] : '', tickerOverrides);
+    if (!ticker) {
+        alert('有効な銘柄コードを入力してください。');
+        return;
+    }
+    try {
+        await deleteCachedHistory(ticker);
+    } catch (e) {
+        console.warn('Failed to delete cached history', e);
+        dom.cacheStatus.textContent = 'キャッシュ: 削除失敗';
+        return;
+    }
+    dom.cacheCodeInput.value = '';
+    await refreshCacheStatus();
+}
+
+async function invalidateAllCache() {
+    if (!confirm('日足・指標のキャッシュをすべて削除しますか？')) return;
+    try {
+        await clearHistoryCache();
+    } catch (e) {
+        console.warn('Failed to clear history cache', e);
+        dom.cacheStatus.textContent = 'キャッシュ: 削除失敗';
+        return;
+    }
+    await refreshCacheStatus();
+}
+
+function downloadRecording() {
+    if (!recordingBundle) return;
+
+    const blob = new Blob([JSON.stringify(recordingBundle)], { type: 'application/json' });
+    downloadBlob(blob, `kabuka_fixture_${priceTargetDate || 'record'}.json`);
 }
 
 // ============================================
@@ -915,8 +3728,7 @@ dom.dropZone.addEventListener('dragleave', () => {
 dom.dropZone.addEventListener('drop', (e) => {
     e.preventDefault();
     dom.dropZone.classList.remove('dragover');
-    const file = e.dataTransfer.files[0];
-    handleFile(file);
+    handleFiles(e.dataTransfer.files);
 });
 
 dom.dropZone.addEventListener('click', (e) => {
@@ -928,24 +3740,245 @@ dom.dropZone.addEventListener('click', (e) => {
 
 // ファイル選択
 dom.fileInput.addEventListener('change', (e) => {
-    handleFile(e.target.files[0]);
+    handleFiles(e.target.files);
 });
+dom.addFileInput.addEventListener('change', async (e) => {
+    await handleFiles(e.target.files, { append: true });
+    dom.addFileInput.value = '';
+});
+
+// コードの貼り付け
+dom.codePasteBtn.addEventListener('click', handlePastedCodes);
 
 // ファイル削除
 dom.fileRemove.addEventListener('click', resetFile);
 
+// 列の対応
+dom.remapBtn.addEventListener('click', () => {
+    if (!xlsData) return;
+    openMappingDialog(xlsData, currentFile);
+});
+dom.mappingHeaderRow.addEventListener('change', () => {
+    renderMappingFields(detectColumnMappingInRow(mappingContext.table, Number(dom.mappingHeaderRow.value)));
+});
+dom.mappingApplyBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    applyMappingDialog();
+});
+
 // 終値取得ボタン
 dom.fetchBtn.addEventListener('click', async () => {
     if (!xlsData || isFetching) return;
 
-    const stocks = getUniqueStocks(xlsData.rows);
+    const { stocks, skipped } = resolveStocks(getFilteredRows(xlsData.rows), tickerOverrides);
     if (stocks.length === 0) {
-        alert('有効な銘柄コードが見つかりません。');
+        alert(skipped.length > 0
+            ? `取得できる銘柄がありません（取得対象外: ${skipped.length} 銘柄。ティッカーの上書き設定を確認してください）。`
+            : '有効な銘柄コードが見つかりません（絞り込み条件を確認してください）。');
+        return;
+    }
+
+    let provider, targetDateStr;
+    try {
+        targetDateStr = resolveTargetDate();
+        provider = createProviderFromSettings(providerSettings);
+    } catch (err) {
+        alert(err.message);
+        return;
+    }
+
+    await fetchAllPrices(stocks, provider, { targetDateStr, skipped });
+});
+
+// 失敗分を再取得ボタン
+dom.retryBtn.addEventListener('click', async () => {
+    if (!xlsData || isFetching) return;
+
+    const stocks = getFailedStocks(getUniqueStocks(getFilteredRows(xlsData.rows), tickerOverrides));
+    if (stocks.length === 0) return;
+
+    let provider;
+    try {
+        provider = createProviderFromSettings(providerSettings, { continueRecording: true });
+    } catch (err) {
+        alert(err.message);
         return;
     }
 
-    await fetchAllPrices(stocks);
+    await fetchAllPrices(stocks, provider, { merge: true, targetDateStr: priceTargetDate || getTargetDate() });
+});
+
+// 絞り込み
+dom.filterFacets.addEventListener('click', (e) => {
+    const chip = e.target.closest('.filter-chip');
+    if (!chip) return;
+    chip.classList.toggle('active');
+    toggleFacetValue(chip.dataset.facet, chip.dataset.value);
+});
+dom.filterSearch.addEventListener('input', () => {
+    filters.query = dom.filterSearch.value.trim();
+    applyFilters();
+});
+dom.filterClearBtn.addEventListener('click', clearFilters);
+
+// 業種別サマリー
+dom.sectorGroupToggle.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-group]');
+    if (!btn) return;
+    sectorGroupKey = btn.dataset.group;
+    renderSectorSummary();
+});
+dom.sectorHead.addEventListener('click', (e) => {
+    const th = e.target.closest('th[data-sort]');
+    if (!th) return;
+    const key = th.dataset.sort;
+    sectorSort = sectorSort.key === key ? { key, asc: !sectorSort.asc } : { key, asc: key === 'sector' };
+    renderSectorSummary();
+});
+dom.sectorBody.addEventListener('click', (e) => {
+    const tr = e.target.closest('tr[data-sector]');
+    if (tr) filterBySector(tr.dataset.sector);
+});
+
+// ティッカーの上書き
+dom.tickerOverridesSaveBtn.addEventListener('click', saveTickerOverridesFromText);
+dom.tickerOverridesExportBtn.addEventListener('click', downloadTickerOverrides);
+dom.tickerOverridesInput.addEventListener('change', (e) => {
+    if (e.target.files[0]) handleTickerOverridesFile(e.target.files[0]);
+    dom.tickerOverridesInput.value = '';
+});
+
+// 基準日・JPX カレンダー
+dom.dateModeSelect.addEventListener('change', renderDateOptions);
+dom.calendarInput.addEventListener('change', (e) => {
+    if (e.target.files[0]) handleCalendarFile(e.target.files[0]);
+    dom.calendarInput.value = '';
+});
+dom.calendarResetBtn.addEventListener('click', () => {
+    clearCalendarUpdate();
+    renderCalendarStatus();
+    renderDateOptions();
+});
+
+// 一時停止・キャンセル
+dom.pauseBtn.addEventListener('click', togglePause);
+dom.cancelBtn.addEventListener('click', cancelFetch);
+
+// データプレビュー（ソートはヘッダーへの委譲で1度だけ登録）
+dom.tableHead.addEventListener('click', (e) => {
+    const th = e.target.closest('th[data-col]');
+    if (th) sortTableBy(parseInt(th.dataset.col));
+});
+dom.tableWrapper.addEventListener('scroll', onTableScroll, { passive: true });
+window.addEventListener('resize', onTableScroll);
+
+// 銘柄詳細パネル（行クリックで開く）
+dom.tableBody.addEventListener('click', (e) => {
+    const tr = e.target.closest('tr[data-idx]');
+    const row = tr && tableView.rows[parseInt(tr.dataset.idx)];
+    if (row) openStockDetail(row);
+});
+dom.detailCloseBtn.addEventListener('click', () => dom.detailDialog.close());
+dom.detailDialog.addEventListener('close', closeStockDetail);
+dom.detailChartToggle.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-type]');
+    if (!btn) return;
+    detailChartType = btn.dataset.type;
+    for (const b of dom.detailChartToggle.querySelectorAll('button')) {
+        b.classList.toggle('active', b === btn);
+    }
+    drawDetailCharts();
+});
+window.addEventListener('resize', () => {
+    if (dom.detailDialog.open) drawDetailCharts();
+});
+
+// テクニカル指標列の表示
+dom.indicatorToggle.checked = displaySettings.showIndicators;
+dom.indicatorToggle.addEventListener('change', () => toggleIndicatorColumns(dom.indicatorToggle.checked));
+dom.fundamentalsToggle.checked = displaySettings.showFundamentals;
+dom.fundamentalsToggle.addEventListener('change', () => toggleFundamentalColumns(dom.fundamentalsToggle.checked));
+
+// 比較期間
+dom.periodTypeSelect.addEventListener('change', renderPeriodSettings);
+dom.periodAddBtn.addEventListener('click', addComparisonPeriod);
+dom.periodResetBtn.addEventListener('click', () => setComparisonPeriods(DEFAULT_COMPARISON_PERIODS));
+dom.periodList.addEventListener('click', (e) => {
+    const chip = e.target.closest('[data-idx]');
+    if (chip) removeComparisonPeriod(parseInt(chip.dataset.idx));
+});
+
+// ベンチマーク（次回の取得から反映）
+dom.benchmarkInput.value = displaySettings.benchmark;
+dom.benchmarkInput.addEventListener('change', () => updateDisplaySettings({ benchmark: dom.benchmarkInput.value.trim() }));
+
+// スクリーナー
+dom.screenGroups.addEventListener('change', handleScreenBuilderChange);
+dom.screenMatch.addEventListener('change', handleScreenBuilderChange);
+dom.screenGroups.addEventListener('click', handleScreenBuilderClick);
+dom.screenAddGroupBtn.addEventListener('click', addScreenGroup);
+dom.screenSelect.addEventListener('change', () => selectSavedScreen(dom.screenSelect.value));
+dom.screenSaveBtn.addEventListener('click', saveCurrentScreen);
+dom.screenDeleteBtn.addEventListener('click', deleteCurrentScreen);
+dom.screenModeSelect.addEventListener('change', () => setScreenMode(dom.screenModeSelect.value));
+
+// ポートフォリオ
+dom.holdingsOnlyToggle.addEventListener('change', () => setHoldingsOnly(dom.holdingsOnlyToggle.checked));
+dom.holdingAddBtn.addEventListener('click', addHoldingFromForm);
+dom.holdingsBody.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-remove]');
+    if (btn) removeHolding(parseInt(btn.dataset.remove));
+});
+dom.holdingsInput.addEventListener('change', (e) => {
+    if (e.target.files[0]) handleHoldingsFile(e.target.files[0]);
+    dom.holdingsInput.value = '';
+});
+dom.holdingsExportBtn.addEventListener('click', downloadHoldings);
+
+// 履歴・スナップショットの比較
+dom.historyCompareBtn.addEventListener('click', compareSnapshots);
+dom.historyRankSelect.addEventListener('change', compareSnapshots);
+dom.historySaveListBtn.addEventListener('click', saveListSnapshot);
+dom.historyBody.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-delete]');
+    if (btn) handleHistoryDelete(Number(btn.dataset.delete));
 });
 
 // CSVダウンロードボタン
 dom.downloadBtn.addEventListener('click', downloadCSV);
+
+// XLSX / JSON エクスポート
+dom.exportBtn.addEventListener('click', openExportDialog);
+dom.exportSelectAllBtn.addEventListener('click', () => setAllExportColumns(true));
+dom.exportSelectNoneBtn.addEventListener('click', () => setAllExportColumns(false));
+dom.exportRunBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    runExport();
+});
+
+// データソース設定
+dom.providerSelect.addEventListener('change', () => updateProviderSettings({ type: dom.providerSelect.value }));
+dom.proxyInput.addEventListener('change', () => updateProviderSettings({ proxyBase: dom.proxyInput.value.trim() }));
+dom.apiBaseInput.addEventListener('change', () => updateProviderSettings({ apiBase: dom.apiBaseInput.value.trim() || YAHOO_API_BASE }));
+dom.recordToggle.addEventListener('change', () => updateProviderSettings({ record: dom.recordToggle.checked }));
+dom.fixtureInput.addEventListener('change', (e) => {
+    handleFixtureFiles(Array.from(e.target.files));
+    dom.fixtureInput.value = '';
+});
+dom.recordDownloadBtn.addEventListener('click', downloadRecording);
+dom.cacheToggle.addEventListener('change', () => updateProviderSettings({ useCache: dom.cacheToggle.checked }));
+dom.cacheDeleteBtn.addEventListener('click', invalidateCachedTicker);
+dom.cacheClearBtn.addEventListener('click', invalidateAllCache);
+
+renderProviderSettings();
+renderTickerOverrides();
+renderPeriodSettings();
+refreshPortfolio();
+renderScreenBuilder();
+renderHistoryPanel();
+refreshCacheStatus();
+renderCalendarStatus();
+renderDateOptions();
+registerServiceWorker();
+// 前回の入力は JPX の銘柄一覧と突き合わせ直して復元する
+loadJpxMaster().then(restoreLastSession);
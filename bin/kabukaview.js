@@ -0,0 +1,363 @@
+#!/usr/bin/env node
+// ============================================
+// kabukaview CLI
+// ============================================
+//
+// ページと同じ core.js を使い、銘柄一覧から終値・変動率を取得して CSV に書き出す。
+// 入力はページと同じく XLS/XLSX・CSV/TXT とコードの直接指定で、複数指定すると1つの一覧にまとめる
+// （JPX の銘柄一覧 data_j.xls を一緒に渡すと銘柄名・業種を補完する）。
+// cron などで定期実行するためのもので、結果は終了コードと JSON のレポートで返す。
+//
+// XLS/XLSX・見出し付き CSV の解析には SheetJS を使う。xlsx パッケージ（cdn.sheetjs.com の tarball）は
+// optionalDependencies なので、npm の registry しか使えない環境ではインストールを飛ばし、
+// リポジトリに同梱した vendor/sheetjs/xlsx.full.min.js を使う（core.js の getXLSX）。
+//
+//   kabukaview fetch data_j.xls --date 2026-10-16 --out result.csv
+//   kabukaview fetch holdings.csv data_j.xls --codes "7203 6758"
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const core = require('../core.js');
+
+const USAGE = `使い方: kabukaview fetch [file...] [options]
+
+XLS/XLSX・CSV/TXT の銘柄一覧やコードから終値・変動率を取得し、CSV に書き出します。
+複数の入力は1つの一覧にまとめ、JPX の銘柄一覧（data_j.xls）があれば銘柄名・業種を補完します。
+
+options:
+  --codes <text>                  銘柄コード（空白・カンマ区切り。複数指定可）
+  --date <YYYY-MM-DD|latest|xls>  基準日（既定: latest = 最新の終値。xls は入力の日付列）
+  --out <file>                    CSV の出力先（既定: 標準出力）
+  --report <file>                 JSON レポートの出力先（既定: 標準エラー出力）
+  --provider <yahoo|fixture>      価格の取得元（既定: yahoo。--fixture を指定すると fixture）
+  --fixture <file>                記録済みのフィクスチャ JSON（複数指定可）
+  --proxy <url>                   プロキシ URL（既定: なし）
+  --api-base <url>                chart API のベース URL
+  --periods <list>                比較期間（例: 1d,1w,1m,3m,6m,ytd,yoy,2025-01-01）
+  --benchmark <ticker>            ベンチマーク（例: ^N225）。超過リターン・β・相関係数を出力
+  --indicators                    テクニカル指標の列も出力する
+  --fundamentals                  時価総額・PER・PBR・配当利回りと業種内順位の列も出力する
+  --overrides <file>              ティッカーの上書き（CSV「コード,シンボル」または JSON）
+  --calendar <file>               JPX 休場日の更新データ（JSON）
+  --concurrency <n>               同時に処理する銘柄数（既定: ${core.FETCH_WORKERS}）
+  --quiet                         進捗を表示しない
+  -h, --help                      このヘルプを表示
+
+終了コード:
+  0  すべての銘柄を取得した
+  1  一部の銘柄で取得に失敗した（CSV は出力する）
+  2  引数が不正
+  3  入力ファイルを読み込めない
+  4  1銘柄も取得できなかった
+  5  想定外のエラー`;
+
+const EXIT_CODES = {
+    ok: 0,
+    partial: 1,
+    usage: 2,
+    input: 3,
+    failed: 4,
+    internal: 5,
+};
+
+// 値を取るオプション（--fixture・--codes は複数指定可）
+const VALUE_OPTIONS = ['date', 'out', 'report', 'provider', 'fixture', 'codes', 'proxy', 'api-base', 'periods',
+    'benchmark', 'overrides', 'calendar', 'concurrency'];
+const LIST_OPTIONS = ['fixture', 'codes'];
+const FLAG_OPTIONS = ['indicators', 'fundamentals', 'quiet', 'help'];
+
+/**
+ * CLI の失敗（exitCode と、レポートに載せる status を持つ）
+ */
+function cliError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function parseArgs(argv) {
+    const args = { positional: [], fixture: [], codes: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h') {
+            args.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            args.positional.push(arg);
+            continue;
+        }
+
+        const eq = arg.indexOf('=');
+        const name = arg.slice(2, eq < 0 ? undefined : eq);
+        if (FLAG_OPTIONS.includes(name)) {
+            args[name] = true;
+        } else if (VALUE_OPTIONS.includes(name)) {
+            const value = eq < 0 ? argv[++i] : arg.slice(eq + 1);
+            if (value === undefined) throw cliError('usage', `--${name} に値を指定してください。`);
+            if (LIST_OPTIONS.includes(name)) args[name].push(value);
+            else args[name] = value;
+        } else {
+            throw cliError('usage', `不明なオプションです: ${arg}`);
+        }
+    }
+    return args;
+}
+
+/**
+ * 比較期間の指定（1d / 2w / 3m / ytd / yoy / 日付）を期間の定義に変換する
+ */
+function parsePeriods(spec) {
+    const units = { d: 'tradingDays', w: 'weeks', m: 'months' };
+    return spec.split(',').map(s => s.trim()).filter(Boolean).map(token => {
+        const m = token.match(/^(\d+)([dwm])$/i);
+        let period = null;
+        if (m) period = { type: units[m[2].toLowerCase()], n: Number(m[1]) };
+        else if (/^ytd$/i.test(token)) period = { type: 'ytd' };
+        else if (/^yoy$/i.test(token)) period = { type: 'yoy' };
+        else if (core.parseYmd(token)) period = { type: 'since', date: core.parseYmd(token) };
+
+        const normalized = period && core.normalizePeriod(period);
+        if (!normalized) throw cliError('usage', `比較期間の指定が不正です: ${token}`);
+        return normalized;
+    });
+}
+
+function readInputFile(file, label) {
+    try {
+        return fs.readFileSync(file);
+    } catch (err) {
+        throw cliError('input', `${label}を読み込めません: ${file} (${err.code || err.message})`);
+    }
+}
+
+function readJSONFile(file, label) {
+    try {
+        return JSON.parse(readInputFile(file, label).toString('utf8'));
+    } catch (err) {
+        if (err.status) throw err;
+        throw cliError('input', `${label}の JSON が不正です: ${file} (${err.message})`);
+    }
+}
+
+/**
+ * 入力（ファイル・--codes）をページと同じ方法で解析し、1つの一覧にまとめる
+ */
+function loadInputs(files, codes) {
+    const sources = files.map(file => {
+        const buffer = readInputFile(file, '入力ファイル');
+        try {
+            const parsed = core.parseInputFile(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength), path.basename(file));
+            return { ...parsed, size: buffer.byteLength };
+        } catch (err) {
+            throw cliError('input', `${file} を解析できません: ${err.message}`);
+        }
+    });
+    for (const text of codes) {
+        try {
+            sources.push({ label: '--codes', size: Buffer.byteLength(text), ...core.parseTextInput(text) });
+        } catch (err) {
+            throw cliError('input', `--codes を解析できません: ${err.message}`);
+        }
+    }
+
+    try {
+        return core.mergeInputSources(sources);
+    } catch (err) {
+        throw cliError('input', `入力を一覧にまとめられません: ${err.message}`);
+    }
+}
+
+/**
+ * 基準日を YYYYMMDD で返す（latest: 最新の終値、xls: 入力の日付列、それ以外は日付）
+ */
+function resolveTargetDate(value = 'latest', xlsData) {
+    if (value === 'latest') return core.getTargetDate();
+    if (value === 'xls') {
+        const xlsDate = core.getXlsDate(xlsData.rows);
+        if (!xlsDate) throw cliError('input', '入力に有効な日付がありません。');
+        return xlsDate;
+    }
+    const ymd = core.parseYmd(value);
+    if (!ymd) throw cliError('usage', `--date の形式が不正です: ${value}`);
+    if (ymd > core.getJstClock().ymd) throw cliError('usage', '未来の日付は指定できません。');
+    return ymd;
+}
+
+function createProvider(args) {
+    const type = args.provider || (args.fixture.length > 0 ? 'fixture' : 'yahoo');
+    if (type === 'fixture') {
+        if (args.fixture.length === 0) throw cliError('usage', '--provider fixture には --fixture を指定してください。');
+        const bundle = args.fixture.reduce((merged, file) => core.mergeBundles(merged, readJSONFile(file, 'フィクスチャ')), null);
+        return { type, provider: core.createFixtureProvider(bundle) };
+    }
+    if (type !== 'yahoo') throw cliError('usage', `不明なプロバイダーです: ${type}`);
+    // Node から直接取得するので CORS プロキシは不要
+    return {
+        type,
+        provider: core.createYahooProvider({
+            proxyBase: args.proxy || '',
+            apiBase: args['api-base'] || core.YAHOO_API_BASE
+        })
+    };
+}
+
+function createProgress(quiet) {
+    const tty = process.stderr.isTTY && !quiet;
+    return {
+        update(done, total, detail) {
+            if (tty) process.stderr.write(`\r\x1b[K[${done}/${total}] ${detail}`);
+        },
+        done() {
+            if (tty) process.stderr.write('\r\x1b[K');
+        },
+    };
+}
+
+function writeReport(report, file) {
+    const json = JSON.stringify(report, null, 2) + '\n';
+    if (file) fs.writeFileSync(file, json);
+    else process.stderr.write(json);
+}
+
+async function runFetch(args, report) {
+    if (args.positional.length === 0 && args.codes.length === 0) {
+        throw cliError('usage', '入力ファイル（XLS/XLSX・CSV/TXT）か --codes を指定してください。');
+    }
+    report.files = args.positional.map(file => path.resolve(file));
+
+    if (args.calendar) {
+        try {
+            core.setCalendarUpdate(core.normalizeCalendarUpdate(readJSONFile(args.calendar, 'カレンダー')));
+        } catch (err) {
+            throw err.status ? err : cliError('input', `カレンダーの更新データが不正です: ${err.message}`);
+        }
+    }
+
+    let overrides = {};
+    if (args.overrides) {
+        try {
+            overrides = core.parseTickerOverridesFile(readInputFile(args.overrides, 'ティッカーの上書き').toString('utf8'), args.overrides);
+        } catch (err) {
+            throw err.status ? err : cliError('input', `ティッカーの上書きが不正です: ${err.message}`);
+        }
+    }
+
+    const periods = args.periods ? parsePeriods(args.periods) : core.DEFAULT_COMPARISON_PERIODS;
+    const concurrency = args.concurrency === undefined ? core.FETCH_WORKERS : Number(args.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) throw cliError('usage', '--concurrency には 1 以上の整数を指定してください。');
+
+    const xlsData = loadInputs(args.positional, args.codes);
+    report.inputs = xlsData.sources;
+    report.unmatched = xlsData.unmatched;
+
+    const targetDateStr = resolveTargetDate(args.date, xlsData);
+    const { type, provider } = createProvider(args);
+    const { stocks, skipped } = core.resolveStocks(xlsData.rows, overrides);
+
+    report.targetDate = core.ymdToIso(targetDateStr);
+    report.provider = type;
+    report.errors = skipped.map(s => ({ code: s.rawCode, name: s.name, ticker: null, error: `取得対象外: ${s.reason}`, skipped: true }));
+
+    const closingPrices = {};
+    let benchmark = null;
+    if (args.benchmark) {
+        try {
+            benchmark = await core.fetchBenchmark(args.benchmark, targetDateStr, provider, { periods });
+        } catch (err) {
+            report.errors.push({ code: args.benchmark, name: 'ベンチマーク', ticker: args.benchmark, error: err.message, benchmark: true });
+        }
+    }
+
+    const progress = createProgress(args.quiet);
+    let completed = 0;
+    await core.fetchPriceBatch(stocks, provider, {
+        targetDateStr,
+        periods,
+        benchmark,
+        fundamentals: !!args.fundamentals,
+        concurrency,
+        onResult(stock, result) {
+            closingPrices[stock.rawCode] = result;
+            if (result.error) {
+                report.errors.push({ code: stock.rawCode, name: stock.name, ticker: stock.ticker, error: result.error });
+            }
+            progress.update(++completed, stocks.length, `${stock.rawCode} ${stock.name}`);
+        },
+    });
+    progress.done();
+
+    if (args.fundamentals) {
+        // 取得できなかった銘柄は1件の警告にまとめる（銘柄ごとのエラーにはしない）
+        const fundamentalsError = core.summarizeFundamentalsErrors(closingPrices);
+        if (fundamentalsError) report.warnings.push(fundamentalsError);
+        // PER・PBR の業種内パーセンタイルは全銘柄を取得してから計算する
+        const percentiles = core.computeSectorPercentiles(xlsData.rows, closingPrices);
+        for (const [code, values] of Object.entries(percentiles)) Object.assign(closingPrices[code], values);
+    }
+
+    const columns = core.buildOutputColumns({
+        periods,
+        benchmark: !!benchmark,
+        fundamentals: !!args.fundamentals,
+        indicators: !!args.indicators
+    });
+    const csv = core.generateCSV(xlsData.rows, columns, (col, code) => closingPrices[code]?.[col.key]);
+    // ページの CSV と同じく BOM 付き UTF-8
+    if (args.out) fs.writeFileSync(args.out, '\uFEFF' + csv + '\r\n');
+    else process.stdout.write('\uFEFF' + csv + '\r\n');
+    report.out = args.out ? path.resolve(args.out) : null;
+
+    const priced = Object.values(closingPrices).filter(v => v.price !== null).length;
+    report.counts = {
+        rows: xlsData.rows.length,
+        stocks: stocks.length,
+        priced,
+        failed: stocks.length - priced,
+        skipped: skipped.length,
+    };
+    // 取得対象外の銘柄は失敗として扱わない
+    if (priced === 0) return 'failed';
+    return report.errors.some(e => !e.skipped) ? 'partial' : 'ok';
+}
+
+async function main(argv) {
+    const report = { status: null, exitCode: null, startedAt: new Date().toISOString(), warnings: [] };
+    // core の警告（VWAP の取得失敗など）は標準エラー出力の JSON を壊さないようレポートに集める
+    console.warn = (...messages) => report.warnings.push(messages.map(String).join(' '));
+    let args = { positional: [], fixture: [], codes: [] };
+    let status;
+
+    try {
+        args = parseArgs(argv);
+        const [command, ...rest] = args.positional;
+        if (args.help || !command) {
+            process.stdout.write(USAGE + '\n');
+            return args.help ? EXIT_CODES.ok : EXIT_CODES.usage;
+        }
+        if (command !== 'fetch') throw cliError('usage', `不明なコマンドです: ${command}`);
+        args.positional = rest;
+        status = await runFetch(args, report);
+    } catch (err) {
+        status = err.status || 'internal';
+        report.message = err.message;
+        if (status === 'internal') report.stack = err.stack;
+    }
+
+    report.status = status;
+    report.exitCode = EXIT_CODES[status];
+    report.finishedAt = new Date().toISOString();
+    try {
+        writeReport(report, args.report);
+    } catch (err) {
+        process.stderr.write(`レポートを書き出せません: ${err.message}\n`);
+    }
+    if (report.message && args.report) process.stderr.write(`kabukaview: ${report.message}\n`);
+    return report.exitCode;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -0,0 +1,133 @@
+// ============================================
+// kabukaview cache DB
+// ============================================
+//
+// IndexedDB（日足・指標のキャッシュ・履歴スナップショット・前回の状態と JPX の銘柄一覧）の共通部分。
+// 日足・指標のキャッシュは Worker からも読み書きするため、ページと Worker の両方で読み込む。
+
+// ============================================
+// Constants
+// ============================================
+const CACHE_DB_NAME = 'kabukaview';
+const CACHE_DB_VERSION = 4;
+const DAILY_HISTORY_STORE = 'dailyHistory';
+const SNAPSHOT_META_STORE = 'snapshotMeta';
+const SNAPSHOT_DATA_STORE = 'snapshotData';
+const SESSION_STORE = 'session';
+const FUNDAMENTALS_STORE = 'fundamentals';
+
+// ============================================
+// Daily History Cache (IndexedDB)
+// ============================================
+//
+// ティッカーごとの日足を { ticker, bars, meta, from, to, updatedAt, size } として保存する。
+// from / to は取得済みの期間（UNIX 秒）。次回は to 以降の足だけを取得する。
+
+let cacheDbPromise = null;
+
+function isHistoryCacheAvailable() {
+    return typeof indexedDB !== 'undefined';
+}
+
+function openCacheDB() {
+    if (!cacheDbPromise) {
+        cacheDbPromise = new Promise((resolve, reject) => {
+            const req = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains(DAILY_HISTORY_STORE)) {
+                    db.createObjectStore(DAILY_HISTORY_STORE, { keyPath: 'ticker' });
+                }
+                if (!db.objectStoreNames.contains(SNAPSHOT_META_STORE)) {
+                    db.createObjectStore(SNAPSHOT_META_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(SNAPSHOT_DATA_STORE)) {
+                    db.createObjectStore(SNAPSHOT_DATA_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(SESSION_STORE)) {
+                    db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(FUNDAMENTALS_STORE)) {
+                    db.createObjectStore(FUNDAMENTALS_STORE, { keyPath: 'ticker' });
+                }
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        // 失敗した場合は次回呼び出し時に再試行できるようにする
+        cacheDbPromise.catch(() => { cacheDbPromise = null; });
+    }
+    return cacheDbPromise;
+}
+
+function idbRequest(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+async function withHistoryStore(mode, fn, storeName = DAILY_HISTORY_STORE) {
+    const db = await openCacheDB();
+    const store = db.transaction(storeName, mode).objectStore(storeName);
+    return idbRequest(fn(store));
+}
+
+function getCachedHistory(ticker) {
+    return withHistoryStore('readonly', store => store.get(ticker));
+}
+
+function putCachedHistory(record) {
+    const size = JSON.stringify(record.bars).length;
+    return withHistoryStore('readwrite', store => store.put({ ...record, size }));
+}
+
+function deleteCachedHistory(ticker) {
+    return Promise.all([
+        withHistoryStore('readwrite', store => store.delete(ticker)),
+        withHistoryStore('readwrite', store => store.delete(ticker), FUNDAMENTALS_STORE),
+    ]);
+}
+
+function clearHistoryCache() {
+    return Promise.all([
+        withHistoryStore('readwrite', store => store.clear()),
+        withHistoryStore('readwrite', store => store.clear(), FUNDAMENTALS_STORE),
+    ]);
+}
+
+// 時価総額・PER など（{ ticker, data, updatedAt }。有効期限は core の FUNDAMENTALS_CACHE_TTL_MS）
+
+function getCachedFundamentals(ticker) {
+    return withHistoryStore('readonly', store => store.get(ticker), FUNDAMENTALS_STORE);
+}
+
+function putCachedFundamentals(record) {
+    return withHistoryStore('readwrite', store => store.put(record), FUNDAMENTALS_STORE);
+}
+
+/**
+ * 日足・指標のキャッシュ（provider の cache オプションに渡す形式）
+ */
+function getProviderCache() {
+    return {
+        get: getCachedHistory,
+        put: putCachedHistory,
+        getFundamentals: getCachedFundamentals,
+        putFundamentals: putCachedFundamentals,
+    };
+}
+
+/**
+ * キャッシュの件数・概算サイズ（バイト）・最終更新日時を集計する
+ */
+async function getHistoryCacheStats() {
+    const records = await withHistoryStore('readonly', store => store.getAll());
+    let bytes = 0;
+    let lastUpdated = null;
+    for (const rec of records) {
+        bytes += rec.size || 0;
+        if (!lastUpdated || rec.updatedAt > lastUpdated) lastUpdated = rec.updatedAt;
+    }
+    return { count: records.length, bytes, lastUpdated };
+}
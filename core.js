@@ -0,0 +1,2408 @@
+// ============================================
+// kabukaview core
+// ============================================
+//
+// DOM・localStorage・IndexedDB に依存しない処理（XLS・CSV の解析と入力の結合、ティッカーの解決、
+// JST の日付と JPX カレンダー、価格プロバイダー、終値・変動率・指標・業種内の割安度の計算、CSV 出力）。
+// ページでは app.js より先に <script> で読み込み、Node の CLI（bin/kabukaview.js）では require する。
+// 設定や状態は持たず、必要なもの（比較期間・ティッカーの上書きなど）は引数で受け取る。
+
+// ============================================
+// Constants
+// ============================================
+const CORS_PROXY = 'https://corsproxy.io/?'; // 既定のプロキシ（設定で変更・無効化可能）
+const YAHOO_API_BASE = 'https://query1.finance.yahoo.com/v8/finance/chart/';
+const YAHOO_QUOTE_SUMMARY_BASE = 'https://query1.finance.yahoo.com/v10/finance/quoteSummary/';
+const FETCH_WORKERS = 12; // 同時に処理する銘柄数の上限（実際の HTTP 並列数はスケジューラーが調整）
+const SCHEDULER_DEFAULTS = {
+    ratePerSec: 3,        // 初期レート（リクエスト/秒）
+    minRatePerSec: 0.5,
+    maxRatePerSec: 8,
+    burst: 5,             // トークンバケットの容量
+    concurrency: 4,       // 初期の HTTP 並列数
+    minConcurrency: 1,
+    maxConcurrency: 12,
+    maxRetries: 3,        // 429 時の再試行回数
+    slowLatencyMs: 4000,  // 平均応答時間がこれを超えたら並列数を下げる
+};
+
+// XLS の列インデックス (data_j.xls 形式)
+const COL = {
+    DATE: 0,       // 日付
+    CODE: 1,       // コード
+    NAME: 2,       // 銘柄名
+    MARKET: 3,     // 市場・商品区分
+    SEC33_CODE: 4, // 33業種コード
+    SEC33_NAME: 5, // 33業種区分
+    SEC17_CODE: 6, // 17業種コード
+    SEC17_NAME: 7, // 17業種区分
+    SCALE_CODE: 8, // 規模コード
+    SCALE_NAME: 9, // 規模区分
+};
+
+// 列の見出しとして認識する名称（normalizeHeader 後に完全一致で判定）
+const COLUMN_ALIASES = {
+    DATE: ['日付', '基準日', '年月日', 'date', 'effective date'],
+    CODE: ['コード', '銘柄コード', '証券コード', 'code', 'local code', 'securities code', 'stock code', 'ticker'],
+    NAME: ['銘柄名', '会社名', '銘柄', 'name', 'name (english)', 'company name', 'issue name', 'name of issue'],
+    MARKET: ['市場・商品区分', '市場区分', '市場', 'market', 'section/products', 'market segment', 'market/product category'],
+    SEC33_CODE: ['33業種コード', '33 sector(code)', '33 sector code'],
+    SEC33_NAME: ['33業種区分', '33業種', '業種', '33 sector(name)', '33 sector', '33 sector name'],
+    SEC17_CODE: ['17業種コード', '17 sector(code)', '17 sector code'],
+    SEC17_NAME: ['17業種区分', '17業種', '17 sector(name)', '17 sector', '17 sector name'],
+    SCALE_CODE: ['規模コード', 'size code (new index series)', 'size code', 'scale code'],
+    SCALE_NAME: ['規模区分', '規模', 'size (new index series)', 'size', 'scale'],
+};
+
+// 列の表示名（列の対応ダイアログ・エラーメッセージ用）
+const COLUMN_LABELS = {
+    DATE: '日付',
+    CODE: 'コード',
+    NAME: '銘柄名',
+    MARKET: '市場・商品区分',
+    SEC33_CODE: '33業種コード',
+    SEC33_NAME: '33業種区分',
+    SEC17_CODE: '17業種コード',
+    SEC17_NAME: '17業種区分',
+    SCALE_CODE: '規模コード',
+    SCALE_NAME: '規模区分',
+};
+
+const REQUIRED_COLUMNS = ['CODE', 'NAME'];
+const HEADER_SCAN_ROWS = 10; // 見出し行を探す範囲（先頭からの行数）
+
+// 比較期間の種類。n は本数（営業日・週・月）、date は起点日（YYYYMMDD）
+const PERIOD_TYPES = {
+    tradingDays: { label: '営業日前', needsN: true },
+    weeks: { label: '週間前', needsN: true },
+    months: { label: 'ヶ月前', needsN: true },
+    ytd: { label: '年初来' },
+    yoy: { label: '前年同日' },
+    since: { label: '指定日から', needsDate: true },
+};
+
+const DEFAULT_COMPARISON_PERIODS = [
+    { type: 'tradingDays', n: 1 },
+    { type: 'weeks', n: 1 },
+    { type: 'months', n: 1 },
+    { type: 'months', n: 3 },
+    { type: 'months', n: 6 },
+];
+
+const MAX_PERIOD_N = 999;
+
+const BENCHMARK_WINDOW = 60;    // ベータ・相関係数の計算に使う直近の日次リターン数
+const BENCHMARK_MIN_PAIRS = 20; // これより少なければ計算しない
+
+// ============================================
+// XLS Parsing (SheetJS)
+// ============================================
+
+/**
+ * SheetJS を返す（ページでは <script> で読み込んだグローバルの XLSX、Node では xlsx パッケージ）
+ * xlsx パッケージは npm の registry にない版なので、インストールできなければ同梱の vendor/sheetjs を使う
+ */
+function getXLSX() {
+    if (typeof XLSX !== 'undefined') return XLSX;
+    if (typeof require === 'function') {
+        try {
+            return require('xlsx');
+        } catch (err) {
+            if (err.code !== 'MODULE_NOT_FOUND') throw err;
+            return require('./vendor/sheetjs/xlsx.full.min.js');
+        }
+    }
+    throw new Error('SheetJS (xlsx) が読み込まれていません。');
+}
+
+/**
+ * XLS/XLSX ファイルを解析して { header, rows, mapping, skipped, ... } を返す
+ * rows は見出し名から判定した列を COL の並びに揃えたもの
+ * 必須列を判定できない場合は err.detection（手動での列の対応付けに使う情報）付きの Error を投げる
+ */
+function parseXLS(arrayBuffer) {
+    const { sheetName, table, detected } = readBestSheet(getXLSX().read(new Uint8Array(arrayBuffer), { type: 'array' }));
+    if (detected.missing.length > 0) {
+        throw createDetectionError(sheetName, table, detected);
+    }
+
+    return buildXlsData(table, detected.headerRowIdx, detected.mapping, sheetName);
+}
+
+/**
+ * 見出しを最も多く認識できたシートを { sheetName, table, detected } で返す
+ */
+function readBestSheet(workbook) {
+    let best = null;
+    for (const sheetName of workbook.SheetNames) {
+        const table = getXLSX().utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '' });
+        const detected = detectColumnMapping(table);
+        if (!best || Object.keys(detected.mapping).length > Object.keys(best.detected.mapping).length) {
+            best = { sheetName, table, detected };
+        }
+    }
+
+    if (!best || best.table.length < 2) {
+        throw new Error('データが不足しています（ヘッダー＋最低1行のデータが必要です）。');
+    }
+    return best;
+}
+
+function createDetectionError(sheetName, table, detected) {
+    const err = new Error(`必須列が見つかりません: ${detected.missing.map(k => COLUMN_LABELS[k]).join('、')}`);
+    err.detection = { sheetName, table, ...detected };
+    return err;
+}
+
+/**
+ * 見出しの表記ゆれを吸収する（全角/半角・大小文字・空白・記号を無視）
+ */
+function normalizeHeader(value) {
+    return String(value).normalize('NFKC').toLowerCase().replace(/[\s・･/()[\]_\-.:]/g, '');
+}
+
+let columnAliasIndex = null;
+
+function matchColumn(headerCell) {
+    if (!columnAliasIndex) {
+        columnAliasIndex = new Map();
+        for (const [key, aliases] of Object.entries(COLUMN_ALIASES)) {
+            for (const alias of aliases) columnAliasIndex.set(normalizeHeader(alias), key);
+        }
+    }
+    return columnAliasIndex.get(normalizeHeader(headerCell)) || null;
+}
+
+/**
+ * 先頭 HEADER_SCAN_ROWS 行から見出し行を探し、列の対応を判定する
+ * 戻り値: { headerRowIdx, mapping: { [COL のキー]: 列番号 }, missing: 見つからない必須列 }
+ */
+function detectColumnMapping(table) {
+    let best = { headerRowIdx: 0, mapping: {} };
+
+    for (let r = 0; r < Math.min(HEADER_SCAN_ROWS, table.length); r++) {
+        const mapping = detectColumnMappingInRow(table, r);
+        if (Object.keys(mapping).length > Object.keys(best.mapping).length) {
+            best = { headerRowIdx: r, mapping };
+        }
+    }
+
+    return { ...best, missing: REQUIRED_COLUMNS.filter(k => best.mapping[k] === undefined) };
+}
+
+/**
+ * 指定行を見出しとみなして列の対応を判定する
+ */
+function detectColumnMappingInRow(table, rowIdx) {
+    const mapping = {};
+    (table[rowIdx] || []).forEach((cell, idx) => {
+        const key = matchColumn(cell);
+        if (key && mapping[key] === undefined) mapping[key] = idx;
+    });
+    return mapping;
+}
+
+/**
+ * 日付セルを YYYYMMDD 文字列に揃える（Excel シリアル値・区切り付き文字列に対応）
+ */
+function normalizeDateCell(value) {
+    if (typeof value === 'number' && value > 20000 && value < 80000) {
+        const d = getXLSX().SSF.parse_date_code(value);
+        if (d) return `${d.y}${String(d.m).padStart(2, '0')}${String(d.d).padStart(2, '0')}`;
+    }
+    const s = String(value).trim();
+    const m = s.match(/^(\d{4})[-/.年](\d{1,2})[-/.月](\d{1,2})日?$/);
+    if (m) return `${m[1]}${m[2].padStart(2, '0')}${m[3].padStart(2, '0')}`;
+    return s;
+}
+
+/**
+ * 列の対応に従って行を COL の並びに組み替え、読み飛ばした行とその理由を記録する
+ */
+function buildXlsData(table, headerRowIdx, mapping, sheetName = '') {
+    const missing = REQUIRED_COLUMNS.filter(k => mapping[k] === undefined);
+    if (missing.length > 0) {
+        throw new Error(`必須列が指定されていません: ${missing.map(k => COLUMN_LABELS[k]).join('、')}`);
+    }
+
+    const header = (table[headerRowIdx] || []).map(h => String(h).trim());
+    const colCount = Object.keys(COL).length;
+    const rows = [];
+    const skipped = [];
+    const seenCodes = new Set();
+
+    for (let r = headerRowIdx + 1; r < table.length; r++) {
+        const src = table[r];
+        if (!src.some(cell => cell !== '')) continue;
+
+        const row = new Array(colCount).fill('');
+        for (const [key, idx] of Object.entries(mapping)) {
+            row[COL[key]] = src[idx] ?? '';
+        }
+        row[COL.DATE] = normalizeDateCell(row[COL.DATE]);
+
+        const code = String(row[COL.CODE]).trim();
+        const sheetRow = r + 1; // シート上の行番号（1始まり）
+        if (!code) {
+            skipped.push({ row: sheetRow, reason: 'コードが空です' });
+            continue;
+        }
+        if (seenCodes.has(code)) {
+            skipped.push({ row: sheetRow, reason: `コード ${code} が重複しています` });
+            continue;
+        }
+        if (!String(row[COL.NAME]).trim()) {
+            skipped.push({ row: sheetRow, reason: `コード ${code} の銘柄名が空です` });
+            continue;
+        }
+        seenCodes.add(code);
+        rows.push(row);
+    }
+
+    if (rows.length === 0) {
+        throw new Error(`有効なデータ行がありません（読み飛ばした行: ${skipped.length} 行）。`);
+    }
+
+    return { header, rows, mapping, headerRowIdx, skipped, sheetName, table };
+}
+
+// ============================================
+// Stock Code Utilities
+// ============================================
+//
+// 銘柄コードと市場区分から Yahoo Finance のシンボルを決める。
+// - 4桁の数字、または英字を含む新形式（例: 130A）はそのまま使う
+// - 5桁のコード（優先株・種類株など）は先頭4桁に丸めず、5桁のまま使う
+// - 名証・札証・福証の単独上場銘柄は取引所ごとのサフィックスを付ける
+// ユーザーが登録した上書き（コード → シンボル）があれば常にそちらを優先する。
+
+// 市場区分の文字列に含まれる語 → Yahoo Finance の取引所サフィックス
+const EXCHANGE_SUFFIXES = [
+    { pattern: /名証|名古屋/, suffix: '.N' },
+    { pattern: /札証|札幌/, suffix: '.S' },
+    { pattern: /福証|福岡/, suffix: '.F' },
+];
+
+// 価格の取得元がない市場区分（該当する銘柄は取得対象外とする）
+const UNSUPPORTED_MARKETS = [
+    { pattern: /PRO Market/i, reason: 'TOKYO PRO Market の銘柄は価格の取得元がありません' },
+];
+
+const STOCK_CODE_PATTERN = /^\d[0-9A-Z]\d[0-9A-Z]$/;
+const CLASS_SHARE_CODE_PATTERN = /^\d[0-9A-Z]\d[0-9A-Z]\d$/;
+
+/**
+ * コードと市場区分から Yahoo Finance のシンボルを決める
+ * overrides: ユーザーが登録した上書き { コード: シンボル（空文字で取得対象外） }
+ * 戻り値: { ticker, reason }（取得対象外のときは ticker が null で reason に理由）
+ * 例: 1301 → "1301.T", 130A → "130A.T", 25935 → "25935.T"
+ */
+function resolveTicker(rawCode, market = '', overrides = {}) {
+    const code = String(rawCode ?? '').trim().toUpperCase();
+    if (!code) return { ticker: null, reason: 'コードが空です' };
+
+    if (Object.prototype.hasOwnProperty.call(overrides, code)) {
+        const symbol = overrides[code];
+        return symbol
+            ? { ticker: symbol, reason: null }
+            : { ticker: null, reason: '上書き設定で取得対象外にしています' };
+    }
+
+    const marketStr = String(market ?? '');
+    const unsupported = UNSUPPORTED_MARKETS.find(m => m.pattern.test(marketStr));
+    if (unsupported) return { ticker: null, reason: unsupported.reason };
+
+    if (!STOCK_CODE_PATTERN.test(code) && !CLASS_SHARE_CODE_PATTERN.test(code)) {
+        return { ticker: null, reason: `コード形式 "${code}" に対応するシンボルがありません（上書き設定で指定できます）` };
+    }
+
+    const exchange = EXCHANGE_SUFFIXES.find(e => e.pattern.test(marketStr));
+    return { ticker: code + (exchange ? exchange.suffix : '.T'), reason: null };
+}
+
+/**
+ * コードから Yahoo Finance 用ティッカーを生成（取得対象外なら null）
+ */
+function toTicker(rawCode, market = '', overrides = {}) {
+    return resolveTicker(rawCode, market, overrides).ticker;
+}
+
+/**
+ * データから銘柄一覧を作り、シンボルを解決できたものとできなかったものに分ける
+ * 戻り値: { stocks: [{ ticker, rawCode, name }], skipped: [{ rawCode, name, reason }] }
+ */
+function resolveStocks(rows, overrides = {}) {
+    const seen = new Set();
+    const stocks = [];
+    const skipped = [];
+
+    for (const row of rows) {
+        if (row.length <= COL.CODE) continue;
+        const rawCode = String(row[COL.CODE]).trim();
+        if (!rawCode || seen.has(rawCode)) continue;
+        seen.add(rawCode);
+
+        const name = String(row[COL.NAME] || '').trim();
+        const { ticker, reason } = resolveTicker(rawCode, row[COL.MARKET], overrides);
+        if (ticker) stocks.push({ ticker, rawCode, name });
+        else skipped.push({ rawCode, name, reason });
+    }
+
+    return { stocks, skipped };
+}
+
+/**
+ * データからユニークな銘柄コード一覧を取得（取得対象外の銘柄は除く）
+ */
+function getUniqueStocks(rows, overrides = {}) {
+    return resolveStocks(rows, overrides).stocks;
+}
+
+/**
+ * ティッカーの上書き設定を正規化する（コードは大文字、シンボルは空文字で取得対象外）
+ */
+function normalizeTickerOverrides(raw) {
+    const overrides = {};
+    for (const [code, symbol] of Object.entries(raw || {})) {
+        const key = String(code).trim().toUpperCase();
+        if (!key) continue;
+        const value = String(symbol ?? '').trim().toUpperCase();
+        overrides[key] = value === '-' ? '' : value;
+    }
+    return overrides;
+}
+
+/**
+ * 上書き設定のテキスト（1行に「コード,シンボル」）を読み取る
+ * シンボルが空または "-" の行は取得対象外の指定になる
+ */
+function parseTickerOverrideText(text) {
+    const raw = {};
+    const lines = String(text).split(/\r?\n/);
+    lines.forEach((line, i) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+        const [code, symbol = ''] = trimmed.split(/[,\t]/).map(s => s.trim());
+        if (!code) throw new Error(`${i + 1} 行目: コードがありません。`);
+        if (symbol && !/^[A-Za-z0-9.^=\-]+$/.test(symbol)) {
+            throw new Error(`${i + 1} 行目: シンボル "${symbol}" が不正です。`);
+        }
+        raw[code] = symbol;
+    });
+    return normalizeTickerOverrides(raw);
+}
+
+/**
+ * 上書き設定のファイルを読み取る
+ * JSON は { overrides: { コード: シンボル } } またはオブジェクト、それ以外は「コード,シンボル」の行として読む
+ */
+function parseTickerOverridesFile(text, fileName) {
+    if (!/\.json$/i.test(fileName)) return parseTickerOverrideText(text);
+    const data = JSON.parse(text);
+    const raw = data?.overrides ?? data;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('overrides オブジェクトがありません。');
+    return normalizeTickerOverrides(raw);
+}
+
+function formatTickerOverrideText(overrides) {
+    return Object.entries(overrides)
+        .map(([code, symbol]) => `${code},${symbol || '-'}`)
+        .join('\n');
+}
+
+/**
+ * 終値取得に使う日付を決定する（JPX カレンダー基準）
+ * - 当日が営業日で大引け（15:30、2024/11/5 より前は 15:00）を過ぎていれば当日
+ * - それ以外（取引時間中・寄り付き前・休場日）は直前の営業日
+ * 戻り値: YYYYMMDD 形式の文字列
+ */
+function getTargetDate(now = new Date()) {
+    const { ymd, minutes } = getJstClock(now);
+    if (isTradingDay(ymd) && minutes >= getMarketCloseMinutes(ymd)) {
+        return ymd;
+    }
+    return previousTradingDay(ymd);
+}
+
+/**
+ * XLS の日付列から基準日を取得する（最も多く出現する YYYYMMDD を採用）
+ * 見つからなければ null
+ */
+function getXlsDate(rows) {
+    const counts = new Map();
+    for (const row of rows) {
+        const ymd = parseYmd(row[COL.DATE]);
+        if (ymd) counts.set(ymd, (counts.get(ymd) || 0) + 1);
+    }
+
+    let best = null;
+    for (const [date, n] of counts) {
+        if (!best || n > counts.get(best)) best = date;
+    }
+    return best;
+}
+
+// ============================================
+// Input Sources (入力の結合)
+// ============================================
+//
+// XLS/XLSX のほか、CSV/TXT（文字コードは自動判定）や貼り付けたコードを入力にできる。
+// 入力ごとに「表」（コードと銘柄名の列がある）か「コードの一覧」として解析し、
+// mergeInputSources で1つの銘柄一覧にまとめる。その際 JPX の銘柄一覧（data_j.xls）と
+// コードで突き合わせ、銘柄名・市場区分・業種などの空欄を埋める。
+//
+// 入力: { label, kind: 'table', data }（data は buildXlsData の戻り値）
+//       { label, kind: 'codes', codes: string[], skipped }
+
+const XLS_INPUT_EXTENSIONS = ['xls', 'xlsx'];
+const TEXT_INPUT_EXTENSIONS = ['csv', 'tsv', 'txt'];
+const INPUT_EXTENSIONS = [...XLS_INPUT_EXTENSIONS, ...TEXT_INPUT_EXTENSIONS];
+
+// これらの列がそろった表は JPX の銘柄一覧とみなし、他の入力の補完に使う
+const MASTER_COLUMNS = ['CODE', 'NAME', 'MARKET', 'SEC33_NAME'];
+
+function getFileExtension(fileName) {
+    const name = String(fileName);
+    const idx = name.lastIndexOf('.');
+    return idx < 0 ? '' : name.slice(idx + 1).toLowerCase();
+}
+
+/**
+ * コードの表記を揃える（全角→半角・大文字。7203.T のような取引所のサフィックスは外す）
+ */
+function normalizeStockCode(value) {
+    return String(value ?? '').normalize('NFKC').trim().toUpperCase().replace(/\.[TNSF]$/, '');
+}
+
+function isStockCode(code) {
+    return STOCK_CODE_PATTERN.test(code) || CLASS_SHARE_CODE_PATTERN.test(code);
+}
+
+/**
+ * メモなどの文章からコードを抜き出す（出現順・重複なし）
+ */
+function extractStockCodes(text) {
+    const codes = [];
+    const seen = new Set();
+    for (const token of String(text).normalize('NFKC').toUpperCase().split(/[^0-9A-Z.]+/)) {
+        const code = normalizeStockCode(token);
+        if (isStockCode(code) && !seen.has(code)) {
+            seen.add(code);
+            codes.push(code);
+        }
+    }
+    return codes;
+}
+
+/**
+ * テキストファイルを文字列にする
+ * BOM があればそれに従い、なければ UTF-8 として読めるか試し、読めなければ Shift_JIS として読む
+ * 戻り値: { text, encoding }
+ */
+function decodeTextFile(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+        return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'UTF-8' };
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'UTF-16LE' };
+    }
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'UTF-16BE' };
+    }
+    try {
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'UTF-8' };
+    } catch (err) {
+        return { text: new TextDecoder('shift_jis').decode(bytes), encoding: 'Shift_JIS' };
+    }
+}
+
+/**
+ * 入力ファイルを解析する（拡張子で XLS/XLSX と CSV/TXT を切り替える）
+ * XLS/XLSX でコードの列が見つからない場合は parseXLS と同じく err.detection 付きの Error を投げる
+ */
+function parseInputFile(arrayBuffer, fileName) {
+    const ext = getFileExtension(fileName);
+    if (XLS_INPUT_EXTENSIONS.includes(ext)) {
+        const sheet = readBestSheet(getXLSX().read(new Uint8Array(arrayBuffer), { type: 'array' }));
+        return { label: fileName, ...parseInputTable(sheet) };
+    }
+    if (TEXT_INPUT_EXTENSIONS.includes(ext)) {
+        const { text, encoding } = decodeTextFile(arrayBuffer);
+        return { label: fileName, encoding, ...parseTextInput(text) };
+    }
+    throw new Error(`対応していないファイル形式です（${INPUT_EXTENSIONS.map(e => '.' + e).join(' / ')}）。`);
+}
+
+/**
+ * 表を解析する。コードと銘柄名の列があれば表として、コードの列だけならコードの一覧として扱う
+ */
+function parseInputTable({ sheetName, table, detected }) {
+    if (detected.missing.length === 0) {
+        return { kind: 'table', data: buildXlsData(table, detected.headerRowIdx, detected.mapping, sheetName) };
+    }
+    if (detected.mapping.CODE !== undefined) {
+        return { kind: 'codes', ...readCodeColumn(table, detected.headerRowIdx, detected.mapping.CODE) };
+    }
+    throw createDetectionError(sheetName, table, detected);
+}
+
+/**
+ * CSV/TXT・貼り付けたテキストを解析する
+ * 見出しからコードの列を判定できれば表として読み、できなければ本文からコードを抜き出す
+ */
+function parseTextInput(text) {
+    let sheet = null;
+    try {
+        sheet = readBestSheet(getXLSX().read(text, { type: 'string', raw: true }));
+    } catch (err) {
+        sheet = null; // 表として読めないテキストはメモとして扱う
+    }
+    if (sheet && sheet.detected.mapping.CODE !== undefined) {
+        return parseInputTable(sheet);
+    }
+
+    const codes = extractStockCodes(text);
+    if (codes.length === 0) {
+        throw new Error('コードが見つかりません。');
+    }
+    return { kind: 'codes', codes, skipped: [] };
+}
+
+function readCodeColumn(table, headerRowIdx, codeIdx) {
+    const codes = [];
+    const skipped = [];
+    const seen = new Set();
+
+    for (let r = headerRowIdx + 1; r < table.length; r++) {
+        const raw = String(table[r][codeIdx] ?? '').trim();
+        if (!raw) continue;
+        const code = normalizeStockCode(raw);
+        const sheetRow = r + 1;
+        if (!isStockCode(code)) {
+            skipped.push({ row: sheetRow, reason: `コード「${raw}」の形式が不正です` });
+            continue;
+        }
+        if (seen.has(code)) {
+            skipped.push({ row: sheetRow, reason: `コード ${code} が重複しています` });
+            continue;
+        }
+        seen.add(code);
+        codes.push(code);
+    }
+
+    if (codes.length === 0) {
+        throw new Error(`有効なコードがありません（読み飛ばした行: ${skipped.length} 行）。`);
+    }
+    return { codes, skipped };
+}
+
+/**
+ * JPX の銘柄一覧の形（MASTER_COLUMNS がそろっている）かどうか
+ */
+function isMasterData(data) {
+    return MASTER_COLUMNS.every(key => data.mapping[key] !== undefined);
+}
+
+/**
+ * 複数の入力を1つの銘柄一覧にまとめる
+ * JPX の銘柄一覧の形の入力しかなければそれを一覧とする。それ以外の入力があればその銘柄だけを
+ * 一覧にし、JPX の銘柄一覧（入力に含まれていればそれ、なければ master）と突き合わせて銘柄名・業種などを埋める
+ * master: 以前に読み込んだ JPX の銘柄一覧 { label, rows }（なければ null）
+ * 戻り値: buildXlsData と同じ形に以下を加えたもの
+ *   sources:   入力ごとの { label, kind, count, encoding, master }（master は補完に使った JPX の銘柄一覧）
+ *   unmatched: JPX の銘柄一覧にないコード [{ code, source }]
+ *   master:    補完に使った一覧の名前（使っていなければ null）
+ */
+function mergeInputSources(sources, master = null) {
+    const masterSources = sources.filter(s => s.kind === 'table' && isMasterData(s.data));
+    const listSources = sources.filter(s => !masterSources.includes(s));
+    const summarize = (source, count) => ({
+        label: source.label,
+        kind: source.kind,
+        count,
+        encoding: source.encoding || null,
+        master: masterSources.includes(source),
+    });
+
+    // JPX の銘柄一覧を1つ読み込んだだけなら、解析結果をそのまま使う（列の対応を変更できるように）
+    if (listSources.length === 0 && masterSources.length === 1) {
+        const [only] = masterSources;
+        return { ...only.data, sources: [summarize(only, only.data.rows.length)], unmatched: [], master: null };
+    }
+
+    const masterRows = masterSources.length > 0 ? masterSources.flatMap(s => s.data.rows) : (master?.rows || []);
+    const masterByCode = new Map();
+    for (const row of masterRows) {
+        const code = normalizeStockCode(row[COL.CODE]);
+        if (code && !masterByCode.has(code)) masterByCode.set(code, row);
+    }
+    const masterLabel = masterSources.length > 0
+        ? masterSources.map(s => s.label).join('、')
+        : (masterByCode.size > 0 ? master.label : null);
+
+    const targets = listSources.length > 0 ? listSources : masterSources;
+    const colCount = Object.keys(COL).length;
+    const rows = [];
+    const skipped = [];
+    const unmatched = [];
+    const summaries = [];
+    const seen = new Set();
+
+    for (const source of targets) {
+        const entries = source.kind === 'table'
+            ? source.data.rows.map(row => ({ code: normalizeStockCode(row[COL.CODE]), row }))
+            : source.codes.map(code => ({ code, row: null }));
+        let count = 0;
+
+        for (const { code, row } of entries) {
+            if (seen.has(code)) continue; // 同じコードは先に読み込んだ入力を優先する
+            seen.add(code);
+
+            // 一覧にある銘柄は JPX の表記を優先し、一覧で空欄の項目だけ入力の値を使う
+            const base = masterByCode.get(code);
+            const own = row || new Array(colCount).fill('');
+            const merged = base ? base.map((cell, idx) => (String(cell).trim() === '' ? own[idx] : cell)) : [...own];
+            merged[COL.CODE] = code;
+            if (!base) unmatched.push({ code, source: source.label });
+
+            rows.push(merged);
+            count++;
+        }
+
+        const sourceSkipped = source.kind === 'table' ? source.data.skipped : source.skipped;
+        skipped.push(...sourceSkipped.map(s => ({ row: s.row, reason: `${source.label}: ${s.reason}` })));
+        summaries.push(summarize(source, count));
+    }
+    for (const source of masterSources.filter(s => !targets.includes(s))) {
+        summaries.push(summarize(source, 0));
+    }
+
+    if (rows.length === 0) {
+        throw new Error('有効なコードがありません。');
+    }
+
+    const header = [];
+    for (const [key, idx] of Object.entries(COL)) header[idx] = COLUMN_LABELS[key];
+
+    return {
+        header,
+        rows,
+        mapping: { ...COL },
+        headerRowIdx: 0,
+        skipped,
+        sheetName: targets.map(s => s.label).join('、'),
+        table: [header, ...rows],
+        sources: summaries,
+        unmatched,
+        master: masterLabel,
+        merged: true,
+    };
+}
+
+// ============================================
+// JST Dates
+// ============================================
+//
+// 東証の日付はすべて JST の暦日として YYYYMMDD 文字列で扱う。
+// 暦日の計算は UTC の Date メソッドのみで行い、時刻との変換は JST_OFFSET_MS でずらす。
+// ローカル時刻の Date メソッド（getFullYear / getDate など）は使わないため、
+// 実行環境のタイムゾーンに関わらず同じ結果になる。
+
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30); // Excel シリアル日付の 0 日目
+
+function ymdToUtcMs(ymd) {
+    const s = String(ymd);
+    return Date.UTC(Number(s.substring(0, 4)), Number(s.substring(4, 6)) - 1, Number(s.substring(6, 8)));
+}
+
+function utcMsToYmd(ms) {
+    const d = new Date(ms);
+    return `${d.getUTCFullYear()}${String(d.getUTCMonth() + 1).padStart(2, '0')}${String(d.getUTCDate()).padStart(2, '0')}`;
+}
+
+/**
+ * 日付の値を YYYYMMDD 文字列に変換する（解釈できなければ null）
+ * - YYYYMMDD（文字列・数値）、YYYY-MM-DD、YYYY/MM/DD
+ * - Excel のシリアル日付（1900 年以降の日数）
+ */
+function parseYmd(value) {
+    const s = String(value ?? '').trim();
+    let ymd = null;
+    let m;
+    if (/^\d{8}$/.test(s)) {
+        ymd = s;
+    } else if ((m = s.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/))) {
+        ymd = `${m[1]}${m[2].padStart(2, '0')}${m[3].padStart(2, '0')}`;
+    } else if (/^\d{1,5}(\.\d+)?$/.test(s) && Number(s) >= 1) {
+        ymd = utcMsToYmd(EXCEL_EPOCH_MS + Math.floor(Number(s)) * 86400000);
+    }
+    // 2/30 のような存在しない日付は除く
+    return ymd && utcMsToYmd(ymdToUtcMs(ymd)) === ymd ? ymd : null;
+}
+
+/**
+ * YYYYMMDD を YYYY/MM/DD に変換
+ */
+function formatDateStr(yyyymmdd) {
+    const s = String(yyyymmdd);
+    return `${s.substring(0, 4)}/${s.substring(4, 6)}/${s.substring(6, 8)}`;
+}
+
+/**
+ * YYYYMMDD を日付入力用の YYYY-MM-DD に変換
+ */
+function ymdToIso(ymd) {
+    const s = String(ymd);
+    return `${s.substring(0, 4)}-${s.substring(4, 6)}-${s.substring(6, 8)}`;
+}
+
+function addDaysYmd(ymd, days) {
+    return utcMsToYmd(ymdToUtcMs(ymd) + days * 86400000);
+}
+
+/**
+ * 月単位で日付をずらす。存在しない日は月末に丸める（例: 3/31 の1ヶ月前 → 2/28）
+ */
+function addMonthsYmd(ymd, months) {
+    const s = String(ymd);
+    const total = Number(s.substring(0, 4)) * 12 + Number(s.substring(4, 6)) - 1 + months;
+    const y = Math.floor(total / 12);
+    const m = total % 12;
+    const lastDay = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+    const d = Math.min(Number(s.substring(6, 8)), lastDay);
+    return `${y}${String(m + 1).padStart(2, '0')}${String(d).padStart(2, '0')}`;
+}
+
+/**
+ * UNIX 秒のタイムスタンプを JST の日付（YYYYMMDD）に変換する
+ */
+function tsToJstYmd(ts) {
+    return utcMsToYmd(ts * 1000 + JST_OFFSET_MS);
+}
+
+/**
+ * JST のその日の 0:00:00 を UNIX 秒で返す
+ */
+function jstStartOfDayTs(ymd) {
+    return Math.floor((ymdToUtcMs(ymd) - JST_OFFSET_MS) / 1000);
+}
+
+/**
+ * JST のその日の 23:59:59 を UNIX 秒で返す
+ */
+function jstEndOfDayTs(ymd) {
+    return Math.floor((ymdToUtcMs(ymd) + 86400000 - 1000 - JST_OFFSET_MS) / 1000);
+}
+
+/**
+ * 現在の JST の日付と 0:00 からの経過分
+ */
+function getJstClock(now = new Date()) {
+    const jst = new Date(now.getTime() + JST_OFFSET_MS);
+    return {
+        ymd: utcMsToYmd(jst.getTime()),
+        minutes: jst.getUTCHours() * 60 + jst.getUTCMinutes()
+    };
+}
+
+/**
+ * UNIX 秒のタイムスタンプを JST の時刻（H:MM）に変換する
+ */
+function formatJstTime(ts) {
+    const jst = new Date(ts * 1000 + JST_OFFSET_MS);
+    return `${jst.getUTCHours()}:${String(jst.getUTCMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * 日時（ミリ秒・ISO 文字列・Date）を JST の YYYY/MM/DD H:MM:SS で表示する
+ */
+function formatJstDateTime(value) {
+    const ms = new Date(value).getTime();
+    if (!Number.isFinite(ms)) return '—';
+    const seconds = new Date(ms + JST_OFFSET_MS).getUTCSeconds();
+    return `${formatDateStr(tsToJstYmd(ms / 1000))} ${formatJstTime(ms / 1000)}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * 日時（ミリ秒・ISO 文字列・Date）を JST の YYYY/MM/DD で表示する
+ */
+function formatJstDate(value) {
+    const ms = new Date(value).getTime();
+    return Number.isFinite(ms) ? formatDateStr(tsToJstYmd(ms / 1000)) : '—';
+}
+
+// ============================================
+// JPX Trading Calendar
+// ============================================
+//
+// 日付の扱いは JST Dates の関数による（実行環境のタイムゾーンに依存しない）。
+// 組み込みの休場日は JPX_CALENDAR_YEARS の範囲のみ。範囲外の年は土日のみを休場日とみなすため、
+// 毎年 JPX の公表する休業日一覧を「カレンダー更新」から読み込んで補う。
+
+const JPX_CALENDAR_YEARS = { from: 2023, to: 2027 };
+const JPX_CLOSE_EXTENDED_FROM = '20241105'; // 大引けが 15:30 に延長された日
+
+// 土日以外の休場日（国民の祝日・振替休日・年末年始 12/31〜1/3）
+const JPX_HOLIDAYS = [
+    // 2023
+    '20230102', '20230103', '20230109', '20230223', '20230321', '20230503', '20230504', '20230505',
+    '20230717', '20230811', '20230918', '20231009', '20231103', '20231123',
+    // 2024
+    '20240101', '20240102', '20240103', '20240108', '20240212', '20240223', '20240320', '20240429',
+    '20240503', '20240506', '20240715', '20240812', '20240916', '20240923', '20241014', '20241104',
+    '20241231',
+    // 2025
+    '20250101', '20250102', '20250103', '20250113', '20250211', '20250224', '20250320', '20250429',
+    '20250505', '20250506', '20250721', '20250811', '20250915', '20250923', '20251013', '20251103',
+    '20251124', '20251231',
+    // 2026
+    '20260101', '20260102', '20260112', '20260211', '20260223', '20260320', '20260429', '20260504',
+    '20260505', '20260506', '20260720', '20260811', '20260921', '20260922', '20260923', '20261012',
+    '20261103', '20261123', '20261231',
+    // 2027
+    '20270101', '20270111', '20270211', '20270223', '20270322', '20270429', '20270503', '20270504',
+    '20270505', '20270719', '20270811', '20270920', '20270923', '20271011', '20271103', '20271123',
+    '20271231',
+];
+
+let calendarUpdate = null; // 読み込んだ更新データ（normalizeCalendarUpdate の戻り値）
+let calendarCache = null;  // { holidays: Set, openDays: Set, years: { from, to }, updatedAt }
+
+/**
+ * 休場日の更新データを設定する（null で組み込みのみに戻す）
+ * ページでは localStorage、CLI では --calendar で指定したファイルから読み込んだものを渡す
+ */
+function setCalendarUpdate(update) {
+    calendarUpdate = update || null;
+    calendarCache = null;
+}
+
+/**
+ * 組み込みの休場日に、設定済みの更新データを重ねたカレンダーを返す
+ */
+function getJpxCalendar() {
+    if (calendarCache) return calendarCache;
+
+    const holidays = new Set(JPX_HOLIDAYS);
+    const openDays = new Set();
+    let years = { ...JPX_CALENDAR_YEARS };
+    let updatedAt = null;
+
+    try {
+        const saved = calendarUpdate;
+        if (saved) {
+            saved.holidays.forEach(d => holidays.add(d));
+            (saved.openDays || []).forEach(d => openDays.add(d));
+            years = { from: Math.min(years.from, saved.years.from), to: Math.max(years.to, saved.years.to) };
+            updatedAt = saved.updatedAt;
+        }
+    } catch (e) {
+        console.warn('Failed to apply JPX calendar update', e);
+    }
+
+    calendarCache = { holidays, openDays, years, updatedAt };
+    return calendarCache;
+}
+
+/**
+ * カレンダー更新データを検証・正規化する
+ * 形式: { holidays: ["2028-01-03" | "20280103", ...], openDays?: [...] }
+ * years を省略した場合は holidays に含まれる年の範囲とみなす
+ */
+function normalizeCalendarUpdate(data) {
+    const toYmd = (d) => {
+        const ymd = String(d).replace(/[-/]/g, '');
+        if (!/^\d{8}$/.test(ymd)) throw new Error(`日付の形式が不正です: ${d}`);
+        return ymd;
+    };
+
+    if (!data || !Array.isArray(data.holidays) || data.holidays.length === 0) {
+        throw new Error('holidays（休場日の配列）がありません。');
+    }
+    const holidays = data.holidays.map(toYmd);
+    const openDays = (data.openDays || []).map(toYmd);
+    const yearsOf = holidays.map(d => Number(d.substring(0, 4)));
+    const years = data.years || { from: Math.min(...yearsOf), to: Math.max(...yearsOf) };
+
+    return { holidays, openDays, years, updatedAt: new Date().toISOString() };
+}
+
+function isTradingDay(ymd) {
+    const { holidays, openDays } = getJpxCalendar();
+    if (openDays.has(ymd)) return true;
+    const weekday = new Date(ymdToUtcMs(ymd)).getUTCDay();
+    return weekday !== 0 && weekday !== 6 && !holidays.has(ymd);
+}
+
+/**
+ * 直前の営業日を返す（inclusive: true なら当日が営業日ならそのまま返す）
+ */
+function previousTradingDay(ymd, { inclusive = false } = {}) {
+    let d = inclusive ? ymd : addDaysYmd(ymd, -1);
+    // 年末年始・大型連休でも2週間以上続く休場はない
+    for (let i = 0; i < 30 && !isTradingDay(d); i++) {
+        d = addDaysYmd(d, -1);
+    }
+    return d;
+}
+
+/**
+ * ymd から数えて n 営業日前の日付（ymd が休場日なら直前の営業日を0日目とする）
+ */
+function tradingDaysAgo(ymd, n) {
+    let d = previousTradingDay(ymd, { inclusive: true });
+    for (let i = 0; i < n; i++) {
+        d = previousTradingDay(d);
+    }
+    return d;
+}
+
+/**
+ * 大引けの時刻（0:00 からの分）。2024/11/5 から 15:30、それ以前は 15:00
+ */
+function getMarketCloseMinutes(ymd) {
+    return ymd >= JPX_CLOSE_EXTENDED_FROM ? 15 * 60 + 30 : 15 * 60;
+}
+
+/**
+ * 現在の東証の状態を返す
+ * session: 'pre'（寄り前）| 'morning'（前場）| 'lunch'（昼休み）| 'afternoon'（後場）| 'closed'（大引け後・休場日）
+ */
+function getMarketStatus(now = new Date()) {
+    const { ymd, minutes } = getJstClock(now);
+    const closeMinutes = getMarketCloseMinutes(ymd);
+    let session = 'closed';
+    if (isTradingDay(ymd)) {
+        if (minutes < 9 * 60) session = 'pre';
+        else if (minutes < 11 * 60 + 30) session = 'morning';
+        else if (minutes < 12 * 60 + 30) session = 'lunch';
+        else if (minutes < closeMinutes) session = 'afternoon';
+    }
+    return { ymd, session, open: session === 'morning' || session === 'afternoon', closeMinutes };
+}
+
+function isMarketOpen(now = new Date()) {
+    return getMarketStatus(now).open;
+}
+
+/**
+ * カレンダーが指定年をカバーしているか（範囲外は土日のみで判定される）
+ */
+function isCalendarCovered(ymd) {
+    const year = Number(String(ymd).substring(0, 4));
+    const { years } = getJpxCalendar();
+    return year >= years.from && year <= years.to;
+}
+
+// ============================================
+// Price Utilities
+// ============================================
+
+/**
+ * タイムスタンプ配列から、指定タイムスタンプに最も近い（以前の）終値を探す
+ */
+function findClosestPrice(timestamps, closes, targetTs) {
+    let bestIdx = -1;
+    let bestDiff = Infinity;
+
+    // 対象日以前で最も近いデータを優先
+    for (let i = 0; i < timestamps.length; i++) {
+        if (closes[i] === null || closes[i] === undefined) continue;
+        const diff = targetTs - timestamps[i];
+        if (diff >= 0 && diff < bestDiff) {
+            bestDiff = diff;
+            bestIdx = i;
+        }
+    }
+
+    // 対象日以前にない場合、以降の最も近いデータ
+    if (bestIdx === -1) {
+        for (let i = 0; i < timestamps.length; i++) {
+            if (closes[i] === null || closes[i] === undefined) continue;
+            const diff = Math.abs(targetTs - timestamps[i]);
+            if (diff < bestDiff) {
+                bestDiff = diff;
+                bestIdx = i;
+            }
+        }
+    }
+
+    return bestIdx >= 0 ? closes[bestIdx] : null;
+}
+
+/**
+ * 変動率を計算 (%)：(現在値 - 過去値) / 過去値 * 100
+ */
+function calcChangeRate(currentPrice, pastPrice) {
+    if (currentPrice === null || pastPrice === null || pastPrice === 0) return null;
+    return Math.round((currentPrice - pastPrice) / pastPrice * 10000) / 100;
+}
+
+// ============================================
+// Comparison Periods (比較期間)
+// ============================================
+
+/**
+ * 比較期間の定義を検証して正規化する（不正なら null）
+ */
+function normalizePeriod(period) {
+    const def = PERIOD_TYPES[period?.type];
+    if (!def) return null;
+    if (def.needsN) {
+        const n = parseInt(period.n);
+        if (!Number.isInteger(n) || n < 1 || n > MAX_PERIOD_N) return null;
+        return { type: period.type, n };
+    }
+    if (def.needsDate) {
+        const date = parseYmd(period.date);
+        if (!date) return null;
+        return { type: period.type, date };
+    }
+    return { type: period.type };
+}
+
+/**
+ * 比較期間ごとの結果キー（closingPrices の各銘柄に同名で保存）
+ */
+function periodKey(period) {
+    switch (period.type) {
+        case 'tradingDays': return `change${period.n}d`;
+        case 'weeks': return `change${period.n}w`;
+        case 'months': return `change${period.n}m`;
+        case 'ytd': return 'changeYtd';
+        case 'yoy': return 'changeYoy';
+        case 'since': return `changeSince${period.date}`;
+    }
+    return null;
+}
+
+function periodLabel(period) {
+    switch (period.type) {
+        case 'tradingDays': return period.n === 1 ? '前日比' : `${period.n}営業日前比`;
+        case 'weeks': return `${period.n}週間比`;
+        case 'months': return period.n % 12 === 0 ? `${period.n / 12}年比` : `${period.n}ヶ月比`;
+        case 'ytd': return '年初来';
+        case 'yoy': return '前年同日比';
+        case 'since': return `${formatDateStr(period.date)}比`;
+    }
+    return '';
+}
+
+/**
+ * 比較の起点となる日（この日以前の直近営業日の終値と比べる）
+ * 営業日指定はカレンダー上の目安（実際の比較は日足の本数で行う）
+ */
+function periodBaseYmd(period, ymd) {
+    switch (period.type) {
+        case 'tradingDays': return tradingDaysAgo(ymd, period.n);
+        case 'weeks': return addDaysYmd(ymd, -7 * period.n);
+        case 'months': return addMonthsYmd(ymd, -period.n);
+        case 'ytd': return `${parseInt(ymd.substring(0, 4)) - 1}1231`;
+        case 'yoy': return addMonthsYmd(ymd, -12);
+        case 'since': return period.date;
+    }
+    return ymd;
+}
+
+// ============================================
+// Technical Indicators
+// ============================================
+
+/**
+ * values[endIdx] までの直近 period 本の単純移動平均（本数が足りなければ null）
+ */
+function calcSMA(values, period, endIdx = values.length - 1) {
+    if (endIdx + 1 < period) return null;
+    let sum = 0;
+    for (let i = endIdx - period + 1; i <= endIdx; i++) sum += values[i];
+    return sum / period;
+}
+
+/**
+ * 指数移動平均の系列（先頭 period 本の SMA を初期値とし、それ以前は null）
+ */
+function calcEMASeries(values, period) {
+    const result = new Array(values.length).fill(null);
+    if (values.length < period) return result;
+    const k = 2 / (period + 1);
+    let ema = calcSMA(values, period, period - 1);
+    result[period - 1] = ema;
+    for (let i = period; i < values.length; i++) {
+        ema = values[i] * k + ema * (1 - k);
+        result[i] = ema;
+    }
+    return result;
+}
+
+/**
+ * RSI（Wilder の平滑化）
+ */
+function calcRSI(closes, period = 14) {
+    if (closes.length <= period) return null;
+    let avgGain = 0;
+    let avgLoss = 0;
+    for (let i = 1; i <= period; i++) {
+        const diff = closes[i] - closes[i - 1];
+        if (diff > 0) avgGain += diff;
+        else avgLoss -= diff;
+    }
+    avgGain /= period;
+    avgLoss /= period;
+    for (let i = period + 1; i < closes.length; i++) {
+        const diff = closes[i] - closes[i - 1];
+        avgGain = (avgGain * (period - 1) + Math.max(diff, 0)) / period;
+        avgLoss = (avgLoss * (period - 1) + Math.max(-diff, 0)) / period;
+    }
+    if (avgLoss === 0) return avgGain === 0 ? 50 : 100;
+    return 100 - 100 / (1 + avgGain / avgLoss);
+}
+
+/**
+ * MACD (12, 26) とシグナル (9)
+ */
+function calcMACD(closes, fast = 12, slow = 26, signalPeriod = 9) {
+    const emaFast = calcEMASeries(closes, fast);
+    const emaSlow = calcEMASeries(closes, slow);
+    const macdLine = [];
+    for (let i = 0; i < closes.length; i++) {
+        if (emaFast[i] !== null && emaSlow[i] !== null) macdLine.push(emaFast[i] - emaSlow[i]);
+    }
+    if (macdLine.length === 0) return { macd: null, signal: null };
+    const signalLine = calcEMASeries(macdLine, signalPeriod);
+    return { macd: macdLine[macdLine.length - 1], signal: signalLine[signalLine.length - 1] };
+}
+
+/**
+ * ボリンジャーバンド (20日, ±2σ) の %B
+ */
+function calcBollingerPercentB(closes, period = 20, k = 2) {
+    const mid = calcSMA(closes, period);
+    if (mid === null) return null;
+    let variance = 0;
+    for (let i = closes.length - period; i < closes.length; i++) variance += (closes[i] - mid) ** 2;
+    const sd = Math.sqrt(variance / period);
+    if (sd === 0) return null;
+    const lower = mid - k * sd;
+    return (closes[closes.length - 1] - lower) / (2 * k * sd);
+}
+
+function roundTo(value, digits) {
+    if (value === null || !Number.isFinite(value)) return null;
+    const f = 10 ** digits;
+    return Math.round(value * f) / f;
+}
+
+/**
+ * 基準日までの日足からテクニカル指標を計算する
+ * days は終値のある日足（昇順）。52週高安値は基準日の1年前より後の高値・安値から求める
+ */
+function computeIndicators(days, actualYmd) {
+    const closes = days.map(d => d.close);
+    const price = closes[closes.length - 1];
+
+    const ma5 = calcSMA(closes, 5);
+    const ma25 = calcSMA(closes, 25);
+    const ma75 = calcSMA(closes, 75);
+    const { macd, signal } = calcMACD(closes);
+
+    const yearAgoTs = jstEndOfDayTs(addMonthsYmd(actualYmd, -12));
+    let high52w = -Infinity;
+    let low52w = Infinity;
+    for (const d of days) {
+        if (d.ts <= yearAgoTs) continue;
+        high52w = Math.max(high52w, d.high ?? d.close);
+        low52w = Math.min(low52w, d.low ?? d.close);
+    }
+
+    return {
+        ma5: roundTo(ma5, 1),
+        ma25: roundTo(ma25, 1),
+        ma75: roundTo(ma75, 1),
+        ma5Dev: calcChangeRate(price, ma5),
+        ma25Dev: calcChangeRate(price, ma25),
+        ma75Dev: calcChangeRate(price, ma75),
+        rsi14: roundTo(calcRSI(closes, 14), 2),
+        macd: roundTo(macd, 2),
+        macdSignal: roundTo(signal, 2),
+        bbPercentB: roundTo(calcBollingerPercentB(closes), 2),
+        high52wDev: Number.isFinite(high52w) ? calcChangeRate(price, high52w) : null,
+        low52wDev: Number.isFinite(low52w) ? calcChangeRate(price, low52w) : null,
+    };
+}
+
+// ============================================
+// Request Scheduler
+// ============================================
+
+/**
+ * Retry-After ヘッダー（秒数または HTTP 日付）をミリ秒に変換する
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 全リクエストで共有するトークンバケット型のスケジューラーを生成
+ * - レート（トークン補充速度）と並列数を 429 や応答時間に応じて増減する（AIMD）
+ * - 429 を受けたら Retry-After（なければ指数バックオフ）の間、全リクエストを止めて再試行する
+ * fetch(url, options) は通常の fetch と同じく Response を返す
+ */
+function createRequestScheduler(options = {}) {
+    const cfg = { ...SCHEDULER_DEFAULTS, ...options };
+    const queue = [];
+    let concurrency = cfg.concurrency;
+    let rate = cfg.ratePerSec;
+    let tokens = cfg.burst;
+    let lastRefill = Date.now();
+    let blockedUntil = 0;
+    let active = 0;
+    let successStreak = 0;
+    let throttleStreak = 0;
+    let throttledTotal = 0;
+    let lastThrottleAt = 0;
+    let latencyAvg = null;
+    let timer = null;
+
+    function refill() {
+        const now = Date.now();
+        tokens = Math.min(cfg.burst, tokens + (now - lastRefill) / 1000 * rate);
+        lastRefill = now;
+    }
+
+    function schedulePump(ms) {
+        if (timer) return;
+        timer = setTimeout(() => {
+            timer = null;
+            pump();
+        }, Math.max(10, ms));
+    }
+
+    function pump() {
+        while (queue.length > 0 && active < concurrency) {
+            const now = Date.now();
+            if (now < blockedUntil) {
+                schedulePump(blockedUntil - now);
+                return;
+            }
+            refill();
+            if (tokens < 1) {
+                schedulePump((1 - tokens) / rate * 1000);
+                return;
+            }
+            tokens -= 1;
+            run(queue.shift());
+        }
+    }
+
+    function onThrottled(response, startedAt) {
+        throttledTotal++;
+        successStreak = 0;
+        // 前回の 429 より前に送ったリクエストの 429 では、重ねて絞り込まない
+        if (startedAt < lastThrottleAt) return;
+        lastThrottleAt = Date.now();
+        throttleStreak++;
+        // 待機時間: Retry-After があれば優先、なければ約3秒, 6秒, 12秒...（ジッター付き）
+        const waitMs = parseRetryAfter(response.headers.get('Retry-After'))
+            ?? Math.pow(2, throttleStreak - 1) * 3000 + Math.random() * 500;
+        blockedUntil = Math.max(blockedUntil, Date.now() + waitMs);
+        concurrency = Math.max(cfg.minConcurrency, Math.floor(concurrency / 2));
+        rate = Math.max(cfg.minRatePerSec, rate / 2);
+        tokens = 0;
+        console.warn(`HTTP 429 API rate limit exceeded. Pausing all requests for ${Math.round(waitMs)}ms (concurrency ${concurrency}, ${rate.toFixed(2)} req/s)`);
+    }
+
+    function onResponded(latencyMs) {
+        throttleStreak = 0;
+        latencyAvg = latencyAvg === null ? latencyMs : latencyAvg * 0.8 + latencyMs * 0.2;
+
+        if (latencyAvg > cfg.slowLatencyMs) {
+            concurrency = Math.max(cfg.minConcurrency, concurrency - 1);
+            successStreak = 0;
+            return;
+        }
+        // 現在の並列数ぶん連続で成功したら少しずつ広げる
+        successStreak++;
+        if (successStreak >= concurrency) {
+            successStreak = 0;
+            concurrency = Math.min(cfg.maxConcurrency, concurrency + 1);
+            rate = Math.min(cfg.maxRatePerSec, rate + 0.25);
+        }
+    }
+
+    async function run(job) {
+        if (job.signal?.aborted) {
+            job.reject(job.signal.reason);
+            pump();
+            return;
+        }
+
+        active++;
+        const started = Date.now();
+        try {
+            const response = await fetch(job.url, job.options);
+            if (response.status === 429) {
+                onThrottled(response, started);
+                if (job.attempt < cfg.maxRetries) {
+                    job.attempt++;
+                    queue.unshift(job);
+                    return;
+                }
+            } else {
+                onResponded(Date.now() - started);
+            }
+            job.resolve(response);
+        } catch (err) {
+            job.reject(err);
+        } finally {
+            active--;
+            pump();
+        }
+    }
+
+    function schedule(url, options = {}) {
+        return new Promise((resolve, reject) => {
+            const { signal } = options;
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+            // 待機中に中断された場合はキューから取り除く
+            const onAbort = () => {
+                const idx = queue.indexOf(job);
+                if (idx >= 0) {
+                    queue.splice(idx, 1);
+                    reject(signal.reason);
+                }
+            };
+            // 取得全体で共有する signal にリスナーが溜まらないよう、終わったジョブのリスナーは外す
+            const settle = (fn) => (value) => {
+                signal?.removeEventListener('abort', onAbort);
+                fn(value);
+            };
+            const job = { url, options, signal, attempt: 0, resolve: settle(resolve), reject: settle(reject) };
+            signal?.addEventListener('abort', onAbort, { once: true });
+            queue.push(job);
+            pump();
+        });
+    }
+
+    return {
+        fetch: schedule,
+        getStats() {
+            return {
+                concurrency,
+                rate,
+                active,
+                queued: queue.length,
+                blockedMs: Math.max(0, blockedUntil - Date.now()),
+                throttled: throttledTotal,
+                latencyAvg,
+            };
+        },
+    };
+}
+
+// ============================================
+// Price Data Providers
+// ============================================
+//
+// プロバイダーは以下のメソッドを持つオブジェクト:
+//   fetchDaily(ticker, { period1, period2, signal })  → { bars, meta }  日足
+//   fetchIntraday(ticker, { period1, period2, interval, signal }) → { bars, meta }  分足
+//     （period1/period2 を省略した場合は range で直近の期間を取得）
+//   fetchMeta(ticker, { signal })                      → meta           銘柄メタデータ
+//   fetchFundamentals(ticker, { signal })              → { marketCap, trailingPE, forwardPE, priceToBook,
+//                                                          dividendYield, sharesOutstanding }  取得時点の指標
+//     （quoteSummary API は Cookie・crumb が必要なため、プロキシによっては取得できない）
+// bars は { ts, open, high, low, close, volume } の配列（ts は UNIX 秒、昇順）。
+// 取得に失敗した場合は Error を投げる（message がそのままエラーログに表示される）。
+// signal（AbortSignal）が中断された場合は AbortError を投げる。
+
+/**
+ * プロキシ経由の URL を組み立てる
+ * - proxyBase が空ならそのまま
+ * - "{url}" を含む場合はそこにエンコード済み URL を埋め込む
+ * - それ以外は末尾にエンコード済み URL を連結（corsproxy.io 形式）
+ */
+function buildProxiedUrl(proxyBase, url) {
+    if (!proxyBase) return url;
+    if (proxyBase.includes('{url}')) {
+        return proxyBase.replace('{url}', encodeURIComponent(url));
+    }
+    return proxyBase + encodeURIComponent(url);
+}
+
+/**
+ * Yahoo Finance chart API 形式のレスポンスを { bars, meta } に正規化する
+ */
+function parseChartResponse(data) {
+    const result = data?.chart?.result?.[0];
+    if (!result) {
+        throw new Error('データなし');
+    }
+
+    const timestamps = result.timestamp || [];
+    const quote = result.indicators?.quote?.[0] || {};
+    const bars = timestamps.map((ts, i) => ({
+        ts,
+        open: quote.open?.[i] ?? null,
+        high: quote.high?.[i] ?? null,
+        low: quote.low?.[i] ?? null,
+        close: quote.close?.[i] ?? null,
+        volume: quote.volume?.[i] ?? null,
+    }));
+    bars.sort((a, b) => a.ts - b.ts);
+
+    return { bars, meta: result.meta || {} };
+}
+
+/**
+ * Yahoo Finance quoteSummary API 形式のレスポンスを指標に正規化する
+ * 値は { raw, fmt } 形式でも数値でも受け付ける。配当利回りは％に直す
+ */
+function parseQuoteSummaryResponse(data) {
+    const result = data?.quoteSummary?.result?.[0];
+    if (!result) {
+        throw new Error('データなし');
+    }
+
+    const num = (...values) => {
+        for (const value of values) {
+            const n = value !== null && typeof value === 'object' ? value.raw : value;
+            if (typeof n === 'number' && Number.isFinite(n)) return n;
+        }
+        return null;
+    };
+    const detail = result.summaryDetail || {};
+    const stats = result.defaultKeyStatistics || {};
+    const price = result.price || {};
+    const dividendYield = num(detail.dividendYield, detail.trailingAnnualDividendYield);
+
+    return {
+        marketCap: num(price.marketCap, detail.marketCap),
+        trailingPE: num(detail.trailingPE),
+        forwardPE: num(detail.forwardPE, stats.forwardPE),
+        priceToBook: num(stats.priceToBook),
+        dividendYield: dividendYield === null ? null : dividendYield * 100,
+        sharesOutstanding: num(stats.sharesOutstanding, price.sharesOutstanding),
+    };
+}
+
+/**
+ * chart API のベース URL から quoteSummary API のベース URL を決める
+ * Yahoo と同じパス構成の代替サーバーならそのサーバーを使う
+ */
+function getQuoteSummaryBase(apiBase) {
+    return apiBase.includes('/v8/finance/chart/')
+        ? apiBase.replace('/v8/finance/chart/', '/v10/finance/quoteSummary/')
+        : YAHOO_QUOTE_SUMMARY_BASE;
+}
+
+/**
+ * Yahoo Finance プロバイダーを生成
+ * options.proxyBase: CORS プロキシのベース URL（空文字でプロキシなし）
+ * options.apiBase:   chart API のベース URL（ローカルの代替サーバーを使う場合に変更）
+ * options.scheduler: リクエストを流すスケジューラー（429 の再試行もここで行う。ページでは全体で1つを共有する）
+ */
+function createYahooProvider({ proxyBase = CORS_PROXY, apiBase = YAHOO_API_BASE, scheduler = createRequestScheduler() } = {}) {
+    async function fetchJSON(apiUrl, signal) {
+        const response = await scheduler.fetch(buildProxiedUrl(proxyBase, apiUrl), {
+            headers: { 'Accept': 'application/json' },
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    async function fetchChart(ticker, query, signal) {
+        return parseChartResponse(await fetchJSON(`${apiBase}${encodeURIComponent(ticker)}?${query}`, signal));
+    }
+
+    return {
+        name: 'yahoo',
+        fetchDaily(ticker, { period1, period2, signal }) {
+            return fetchChart(ticker, `period1=${period1}&period2=${period2}&interval=1d`, signal);
+        },
+        fetchIntraday(ticker, { period1, period2, range = '5d', interval = '5m', signal } = {}) {
+            const span = period1 != null && period2 != null ? `period1=${period1}&period2=${period2}` : `range=${range}`;
+            return fetchChart(ticker, `${span}&interval=${interval}`, signal);
+        },
+        async fetchMeta(ticker, { signal } = {}) {
+            const { meta } = await fetchChart(ticker, 'range=1d&interval=1d', signal);
+            return meta;
+        },
+        async fetchFundamentals(ticker, { signal } = {}) {
+            const apiUrl = `${getQuoteSummaryBase(apiBase)}${encodeURIComponent(ticker)}?modules=price,summaryDetail,defaultKeyStatistics`;
+            return parseQuoteSummaryResponse(await fetchJSON(apiUrl, signal));
+        },
+    };
+}
+
+/**
+ * フィクスチャ（記録済み JSON）から応答するプロバイダーを生成
+ * bundle 形式: { version: 1, entries: { [ticker]: { daily, intraday, fundamentals } } }
+ * daily / intraday は { bars, meta }（記録モードの出力）か Yahoo chart API の生レスポンス
+ * fundamentals は正規化済みの指標か Yahoo quoteSummary API の生レスポンス
+ */
+function createFixtureProvider(bundle) {
+    function load(ticker, kind) {
+        const recorded = bundle?.entries?.[ticker]?.[kind];
+        if (!recorded) {
+            throw new Error('フィクスチャなし');
+        }
+        if (recorded.chart) return parseChartResponse(recorded);
+        return { bars: recorded.bars || [], meta: recorded.meta || {} };
+    }
+
+    return {
+        name: 'fixture',
+        async fetchDaily(ticker, { period1, period2 } = {}) {
+            const { bars, meta } = load(ticker, 'daily');
+            return {
+                bars: bars.filter(b => (period1 == null || b.ts >= period1) && (period2 == null || b.ts <= period2)),
+                meta
+            };
+        },
+        async fetchIntraday(ticker, { period1, period2 } = {}) {
+            const { bars, meta } = load(ticker, 'intraday');
+            return {
+                bars: bars.filter(b => (period1 == null || b.ts >= period1) && (period2 == null || b.ts <= period2)),
+                meta
+            };
+        },
+        async fetchMeta(ticker) {
+            return load(ticker, 'daily').meta;
+        },
+        async fetchFundamentals(ticker) {
+            const recorded = bundle?.entries?.[ticker]?.fundamentals;
+            if (!recorded) {
+                throw new Error('フィクスチャなし');
+            }
+            return recorded.quoteSummary ? parseQuoteSummaryResponse(recorded) : recorded;
+        },
+    };
+}
+
+/**
+ * 別のプロバイダーを包み、取得した応答を bundle に記録する
+ * 記録した bundle はそのまま createFixtureProvider に渡して再生できる
+ */
+function createRecordingProvider(inner, bundle) {
+    const entryOf = (ticker) => (bundle.entries[ticker] = bundle.entries[ticker] || {});
+
+    return {
+        name: `${inner.name}+record`,
+        async fetchDaily(ticker, options) {
+            const res = await inner.fetchDaily(ticker, options);
+            entryOf(ticker).daily = res;
+            return res;
+        },
+        async fetchIntraday(ticker, options) {
+            const res = await inner.fetchIntraday(ticker, options);
+            entryOf(ticker).intraday = res;
+            return res;
+        },
+        fetchMeta(ticker, options) {
+            return inner.fetchMeta(ticker, options);
+        },
+        async fetchFundamentals(ticker, options) {
+            const res = await inner.fetchFundamentals(ticker, options);
+            entryOf(ticker).fundamentals = res;
+            return res;
+        },
+    };
+}
+
+function createEmptyBundle() {
+    return { version: 1, recordedAt: new Date().toISOString(), entries: {} };
+}
+
+/**
+ * 2つの bundle をマージする（同じティッカーは後から読み込んだ方を優先）
+ */
+function mergeBundles(base, extra) {
+    const merged = base ? { ...base, entries: { ...base.entries } } : createEmptyBundle();
+    for (const [ticker, entry] of Object.entries(extra?.entries || {})) {
+        merged.entries[ticker] = { ...merged.entries[ticker], ...entry };
+    }
+    return merged;
+}
+
+/**
+ * 設定からプロバイダーを組み立てる（ページ・Worker 共通）
+ * config: { type: 'yahoo' | 'fixture', proxyBase, apiBase, fixtureBundle }
+ * options.cache:           日足キャッシュ { get, put }（null でキャッシュしない。フィクスチャでは使わない）
+ * options.recordingBundle: 応答の記録先（null で記録しない）
+ */
+function buildProvider(config, { scheduler, cache = null, recordingBundle = null } = {}) {
+    let provider;
+    if (config.type === 'fixture') {
+        if (!config.fixtureBundle) {
+            throw new Error('フィクスチャファイルが読み込まれていません。');
+        }
+        provider = createFixtureProvider(config.fixtureBundle);
+    } else {
+        provider = createYahooProvider({
+            proxyBase: (config.proxyBase || '').trim(),
+            apiBase: (config.apiBase || '').trim() || YAHOO_API_BASE,
+            ...(scheduler ? { scheduler } : {})
+        });
+        if (cache) {
+            provider = createCachingProvider(provider, cache);
+        }
+    }
+
+    if (recordingBundle) {
+        provider = createRecordingProvider(provider, recordingBundle);
+    }
+    return provider;
+}
+
+// 日足・指標のキャッシュ（保存先は cache として渡す。ページでは IndexedDB）
+
+const JST_OFFSET_SEC = 9 * 3600;
+
+// 時価総額・PER などはめったに変わらないので、この期間はキャッシュを使う
+const FUNDAMENTALS_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * JST の日付単位で足をマージする（同じ日は新しい方を優先）
+ * 取引時間中に取得した当日分の足は、確定後の足で上書きされる
+ */
+function mergeDailyBars(oldBars, newBars) {
+    const byDay = new Map();
+    for (const bar of [...oldBars, ...newBars]) {
+        byDay.set(Math.floor((bar.ts + JST_OFFSET_SEC) / 86400), bar);
+    }
+    return Array.from(byDay.values()).sort((a, b) => a.ts - b.ts);
+}
+
+/**
+ * 日足をキャッシュし、差分だけを取得するプロバイダーを生成
+ * cache は { get(ticker), put(record) }（Promise を返す）
+ * cache.getFundamentals / putFundamentals があれば時価総額・PER なども FUNDAMENTALS_CACHE_TTL_MS の間キャッシュする
+ * キャッシュの読み書きに失敗しても取得自体は継続する
+ */
+function createCachingProvider(inner, cache) {
+    async function readCache(ticker) {
+        try {
+            return await cache.get(ticker);
+        } catch (e) {
+            console.warn(`History cache read failed for ${ticker}`, e);
+            return null;
+        }
+    }
+
+    async function fetchFundamentals(ticker, options) {
+        let cached = null;
+        try {
+            cached = await cache.getFundamentals(ticker);
+        } catch (e) {
+            console.warn(`Fundamentals cache read failed for ${ticker}`, e);
+        }
+        if (cached && Date.now() - Date.parse(cached.updatedAt) < FUNDAMENTALS_CACHE_TTL_MS) {
+            return cached.data;
+        }
+
+        const data = await inner.fetchFundamentals(ticker, options);
+        try {
+            await cache.putFundamentals({ ticker, data, updatedAt: new Date().toISOString() });
+        } catch (e) {
+            console.warn(`Fundamentals cache write failed for ${ticker}`, e);
+        }
+        return data;
+    }
+
+    return {
+        ...inner,
+        name: `${inner.name}+cache`,
+        async fetchDaily(ticker, { period1, period2, signal }) {
+            const cached = await readCache(ticker);
+            const nowTs = Math.floor(Date.now() / 1000);
+            const inWindow = (bars) => bars.filter(b => b.ts >= period1 && b.ts <= period2);
+
+            if (cached && cached.from <= period1 && cached.to >= period2) {
+                return { bars: inWindow(cached.bars), meta: cached.meta };
+            }
+
+            let fetchFrom = period1;
+            let baseBars = [];
+            if (cached && cached.from <= period1 && cached.bars.length > 0) {
+                // 最後にキャッシュした足の日（JST）から再取得する
+                const lastTs = cached.bars[cached.bars.length - 1].ts;
+                fetchFrom = lastTs - ((lastTs + JST_OFFSET_SEC) % 86400);
+                baseBars = cached.bars;
+            }
+
+            const fetched = await inner.fetchDaily(ticker, { period1: fetchFrom, period2, signal });
+            const bars = mergeDailyBars(baseBars, fetched.bars);
+            const record = {
+                ticker,
+                bars,
+                meta: fetched.meta,
+                from: cached && cached.from <= period1 ? cached.from : period1,
+                to: Math.min(period2, nowTs),
+                updatedAt: new Date().toISOString(),
+            };
+
+            try {
+                await cache.put(record);
+            } catch (e) {
+                console.warn(`History cache write failed for ${ticker}`, e);
+            }
+
+            return { bars: inWindow(bars), meta: fetched.meta };
+        },
+        ...(cache.getFundamentals && inner.fetchFundamentals ? { fetchFundamentals } : {}),
+    };
+}
+
+// ============================================
+// Closing Price & Change Rates
+// ============================================
+
+// 日足の取得期間（日数）。52週高安値に1年、MACD・75日線の助走に約1ヶ月を足す
+const DAILY_HISTORY_DAYS = 400;
+
+// provider.fetchFundamentals から取る指標
+const FUNDAMENTAL_KEYS = ['marketCap', 'trailingPE', 'forwardPE', 'priceToBook', 'dividendYield', 'sharesOutstanding'];
+
+/**
+ * 指標を表示用に丸める（時価総額は億円、PER・PBR・配当利回りは小数2桁）
+ */
+function normalizeFundamentals(raw) {
+    const round = (value, digits) => (typeof value === 'number' && Number.isFinite(value)
+        ? Math.round(value * 10 ** digits) / 10 ** digits
+        : null);
+    return {
+        marketCap: round(raw?.marketCap / 1e8, 1),
+        trailingPE: round(raw?.trailingPE, 2),
+        forwardPE: round(raw?.forwardPE, 2),
+        priceToBook: round(raw?.priceToBook, 2),
+        dividendYield: round(raw?.dividendYield, 2),
+        sharesOutstanding: round(raw?.sharesOutstanding, 0),
+    };
+}
+
+/**
+ * 指定ティッカーの終値・株価変動率を取得
+ * 成功時は series（日足・基準日の5分足）も返す
+ * options.fundamentals: 時価総額・PER・PBR なども取得する。取得できなかった場合は値を null にして
+ *                       fundamentalsError に理由を入れる（銘柄ごとにはエラーにしない）
+ */
+async function fetchClosingPrice(ticker, targetDateStr, provider, { signal, periods = DEFAULT_COMPARISON_PERIODS, fundamentals = false } = {}) {
+    const nullResult = {
+        price: null,
+        prevClose: null,
+        actualDate: null,
+        ...Object.fromEntries(periods.map(p => [periodKey(p), null])),
+        volumeChange1d: null,
+        vwap: null,
+        vwapDev: null,
+        ...Object.fromEntries(FUNDAMENTAL_KEYS.map(key => [key, null])),
+        ...Object.fromEntries(INDICATOR_COLS.map(c => [c.key, null])),
+        error: null
+    };
+
+    if (!ticker) return { ...nullResult, error: '無効なティッカー' };
+
+    try {
+        // 休場日が指定された場合は直前の営業日。その日の終わり（JST）までの足を対象にする
+        const tradingYmd = previousTradingDay(String(targetDateStr), { inclusive: true });
+        const targetTs = jstEndOfDayTs(tradingYmd);
+
+        // 52週高安値と指標の計算に必要な期間、または最も古い比較期間の起点（休場日分の余裕を持たせる）まで取得
+        const earliestYmd = periods
+            .map(p => periodBaseYmd(p, tradingYmd))
+            .reduce((min, ymd) => (ymd < min ? ymd : min), tradingYmd);
+        const startTs = Math.min(targetTs - DAILY_HISTORY_DAYS * 86400, jstEndOfDayTs(earliestYmd) - 14 * 86400);
+        const endTs = targetTs + 14 * 86400;
+
+        const { bars } = await provider.fetchDaily(ticker, { period1: startTs, period2: endTs, signal });
+
+        if (bars.length === 0) {
+            return { ...nullResult, error: 'チャートデータなし' };
+        }
+
+        const timestamps = bars.map(b => b.ts);
+        const closes = bars.map(b => b.close);
+
+        // 有効な取引日データのみを抽出（タイムスタンプ昇順）
+        const tradingDays = [];
+        for (const bar of bars) {
+            if (bar.close !== null && bar.close !== undefined) {
+                tradingDays.push({ ts: bar.ts, open: bar.open, high: bar.high, low: bar.low, close: bar.close, volume: bar.volume });
+            }
+        }
+        tradingDays.sort((a, b) => a.ts - b.ts);
+
+        if (tradingDays.length === 0) {
+            return { ...nullResult, error: '有効な終値なし' };
+        }
+
+        // 当日（targetTs）以前で最も近い取引日を探す
+        let currentIdx = -1;
+        for (let i = tradingDays.length - 1; i >= 0; i--) {
+            if (tradingDays[i].ts <= targetTs) {
+                currentIdx = i;
+                break;
+            }
+        }
+        // 対象日以前になければ最も近い取引日
+        if (currentIdx === -1) currentIdx = 0;
+
+        const currentPrice = tradingDays[currentIdx].close;
+        const actualTs = tradingDays[currentIdx].ts;
+
+        const actualYmd = tsToJstYmd(actualTs);
+        const formattedDate = formatDateStr(actualYmd);
+
+        // 出来高前日比: 実際の1つ前の取引日と比較（取引日ベース）
+        const currentVolume = tradingDays[currentIdx].volume;
+        const volume1d = currentIdx >= 1 ? tradingDays[currentIdx - 1].volume : null;
+
+        // カレンダーベースで過去日を計算し、その日以前の直近の営業日（JPX カレンダー）の終値と比較
+        const priceAsOf = (ymd) => findClosestPrice(
+            timestamps, closes, jstEndOfDayTs(previousTradingDay(ymd, { inclusive: true }))
+        );
+
+        // 比較期間ごとの変動率（営業日指定は日足の本数、それ以外は起点日の終値と比較）
+        const changes = {};
+        for (const period of periods) {
+            let basePrice = null;
+            if (period.type === 'tradingDays') {
+                basePrice = currentIdx >= period.n ? tradingDays[currentIdx - period.n].close : null;
+            } else {
+                const baseYmd = periodBaseYmd(period, actualYmd);
+                basePrice = baseYmd < actualYmd ? priceAsOf(baseYmd) : null;
+            }
+            changes[periodKey(period)] = calcChangeRate(currentPrice, basePrice);
+        }
+        const volumeChange1d = calcChangeRate(currentVolume, volume1d);
+        const indicators = computeIndicators(tradingDays.slice(0, currentIdx + 1), actualYmd);
+
+        // --- VWAP算出のための5分足取得 ---
+        let vwap = null;
+        let vwapDev = null;
+        const dayBars = [];
+        try {
+            // 基準日（JST）の 0:00:00 〜 23:59:59 をターゲットに
+            const startJst = jstStartOfDayTs(actualYmd);
+            const endJst = jstEndOfDayTs(actualYmd);
+
+            // 基準日当日の5分足のみを取得（Yahoo の5分足は直近60日分まで）
+            const { bars: intradayBars } = await provider.fetchIntraday(ticker, {
+                period1: startJst, period2: endJst, interval: '5m', signal
+            });
+
+            let totalTypicalVolume = 0;
+            let totalVolume = 0;
+
+            for (const bar of intradayBars) {
+                if (bar.ts >= startJst && bar.ts <= endJst) {
+                    const { high: h, low: l, close: c, volume: vol } = bar;
+                    dayBars.push(bar);
+
+                    if (h != null && l != null && c != null && vol != null && vol > 0) {
+                        const typicalPrice = (h + l + c) / 3;
+                        totalTypicalVolume += typicalPrice * vol;
+                        totalVolume += vol;
+                    }
+                }
+            }
+
+            if (totalVolume > 0) {
+                vwap = totalTypicalVolume / totalVolume;
+                vwap = Math.round(vwap * 10) / 10;
+                vwapDev = Math.round((currentPrice - vwap) / vwap * 10000) / 100;
+            }
+        } catch (e) {
+            if (isAbortError(e)) throw e;
+            console.warn(`VWAP fetch failed for ${ticker}`, e);
+        }
+
+        // --- 時価総額・PER・PBR など（取得時点の値。過去の基準日を指定しても最新の値になる） ---
+        let valuation = normalizeFundamentals(null);
+        let fundamentalsError = null;
+        if (fundamentals) {
+            try {
+                if (!provider.fetchFundamentals) throw new Error('このプロバイダーでは取得できません');
+                valuation = normalizeFundamentals(await provider.fetchFundamentals(ticker, { signal }));
+            } catch (e) {
+                if (isAbortError(e)) throw e;
+                fundamentalsError = e.message;
+            }
+        }
+
+        return {
+            price: Math.round(currentPrice * 10) / 10,
+            // 1つ前の取引日の終値（比較期間の設定に関係なく当日損益の計算に使う）
+            prevClose: currentIdx >= 1 ? Math.round(tradingDays[currentIdx - 1].close * 10) / 10 : null,
+            volume: currentVolume,
+            actualDate: formattedDate,
+            ...changes,
+            volumeChange1d,
+            vwap,
+            vwapDev,
+            ...valuation,
+            ...indicators,
+            ...(fundamentalsError ? { fundamentalsError } : {}),
+            error: null,
+            // 詳細パネルのチャート用（closingPrices には保存しない）
+            series: { daily: tradingDays.slice(0, currentIdx + 1), intraday: dayBars }
+        };
+    } catch (err) {
+        if (isAbortError(err)) throw err;
+        return { ...nullResult, error: err.message };
+    }
+}
+
+// ============================================
+// Benchmark-Relative Performance
+// ============================================
+
+/**
+ * ベンチマークの終値・変動率と日足（日付→終値）を取得する（1回の取得につき1度）
+ */
+async function fetchBenchmark(ticker, targetDateStr, provider, { signal, periods }) {
+    const { series, ...prices } = await fetchClosingPrice(ticker, targetDateStr, provider, { signal, periods });
+    if (prices.error) throw new Error(prices.error);
+    const closeByYmd = new Map(series.daily.map(bar => [tsToJstYmd(bar.ts), bar.close]));
+    return { ticker, targetDateStr, prices, closeByYmd };
+}
+
+/**
+ * 日次リターンから直近 window 日のベータ・相関係数を計算する
+ * 銘柄の連続する2営業日について、同じ2日間のベンチマークのリターンと組にする
+ */
+function calcBetaCorrelation(days, benchCloseByYmd, window = BENCHMARK_WINDOW) {
+    const pairs = [];
+    for (let i = 1; i < days.length; i++) {
+        const prev = days[i - 1];
+        const benchPrev = benchCloseByYmd.get(tsToJstYmd(prev.ts));
+        const benchCur = benchCloseByYmd.get(tsToJstYmd(days[i].ts));
+        if (!prev.close || !benchPrev || benchCur == null) continue;
+        pairs.push([days[i].close / prev.close - 1, benchCur / benchPrev - 1]);
+    }
+
+    const recent = pairs.slice(-window);
+    if (recent.length < BENCHMARK_MIN_PAIRS) return { beta: null, correlation: null };
+
+    const n = recent.length;
+    const meanS = recent.reduce((sum, [s]) => sum + s, 0) / n;
+    const meanB = recent.reduce((sum, [, b]) => sum + b, 0) / n;
+    let cov = 0;
+    let varS = 0;
+    let varB = 0;
+    for (const [s, b] of recent) {
+        cov += (s - meanS) * (b - meanB);
+        varS += (s - meanS) ** 2;
+        varB += (b - meanB) ** 2;
+    }
+    if (varB === 0) return { beta: null, correlation: null };
+    return {
+        beta: cov / varB,
+        correlation: varS === 0 ? null : cov / Math.sqrt(varS * varB)
+    };
+}
+
+/**
+ * 比較期間ごとの超過リターン（銘柄の変動率 − ベンチマークの変動率、%ポイント）とベータ・相関係数
+ */
+function computeRelativeMetrics(prices, days, benchmark, periods) {
+    const metrics = {};
+    for (const period of periods) {
+        const key = periodKey(period);
+        const own = prices[key];
+        const bench = benchmark.prices[key];
+        metrics[`${key}Excess`] = own != null && bench != null ? roundTo(own - bench, 2) : null;
+    }
+    const { beta, correlation } = calcBetaCorrelation(days, benchmark.closeByYmd);
+    metrics.beta = roundTo(beta, 2);
+    metrics.correlation = roundTo(correlation, 2);
+    return metrics;
+}
+
+// ============================================
+// Sector Valuation (業種内の割安度)
+// ============================================
+
+// 業種内パーセンタイルを計算する指標 → 結果のキー
+const SECTOR_PERCENTILE_KEYS = {
+    trailingPE: 'perSectorPct',
+    priceToBook: 'pbrSectorPct',
+};
+
+/**
+ * PER（実績）・PBR の 33業種内パーセンタイルを計算する
+ * 0 が業種内で最も低い（割安）、100 が最も高い。同じ値の銘柄は同じ順位（平均順位）にする
+ * 0 以下の値（赤字・債務超過）と業種が空欄の銘柄、比べる銘柄が2つ未満の業種は null
+ * rows: XLS の行、prices: { コード: fetchClosingPrice の結果 }
+ * 戻り値: { コード: { perSectorPct, pbrSectorPct } }（prices にあるコードのみ）
+ */
+function computeSectorPercentiles(rows, prices) {
+    const result = {};
+    const groups = new Map(); // 業種 → コード[]
+    for (const row of rows) {
+        const code = String(row[COL.CODE] ?? '').trim();
+        if (!code || result[code] || !prices[code]) continue;
+        result[code] = Object.fromEntries(Object.values(SECTOR_PERCENTILE_KEYS).map(key => [key, null]));
+
+        const sector = String(row[COL.SEC33_NAME] ?? '').trim();
+        if (!sector) continue;
+        if (!groups.has(sector)) groups.set(sector, []);
+        groups.get(sector).push(code);
+    }
+
+    for (const codes of groups.values()) {
+        for (const [valueKey, pctKey] of Object.entries(SECTOR_PERCENTILE_KEYS)) {
+            const values = codes
+                .map(code => ({ code, value: prices[code][valueKey] }))
+                .filter(v => typeof v.value === 'number' && v.value > 0)
+                .sort((a, b) => a.value - b.value);
+            if (values.length < 2) continue;
+
+            for (let i = 0; i < values.length;) {
+                let j = i;
+                while (j + 1 < values.length && values[j + 1].value === values[i].value) j++;
+                const pct = Math.round(((i + j) / 2) / (values.length - 1) * 1000) / 10;
+                for (let k = i; k <= j; k++) result[values[k].code][pctKey] = pct;
+                i = j + 1;
+            }
+        }
+    }
+    return result;
+}
+
+// ============================================
+// Batch Processing
+// ============================================
+
+/**
+ * 一時停止用のゲート。wait() は一時停止中のみ resume() まで待機する
+ * subscribe(listener) で状態の変化を受け取れる（Worker への転送に使う）
+ */
+function createPauseGate() {
+    let pausePromise = null;
+    let resolveResume = null;
+    const listeners = new Set();
+
+    return {
+        get paused() {
+            return pausePromise !== null;
+        },
+        pause() {
+            if (!pausePromise) {
+                pausePromise = new Promise(resolve => { resolveResume = resolve; });
+                listeners.forEach(listener => listener(true));
+            }
+        },
+        resume() {
+            if (pausePromise) {
+                resolveResume();
+                pausePromise = null;
+                listeners.forEach(listener => listener(false));
+            }
+        },
+        wait() {
+            return pausePromise || Promise.resolve();
+        },
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+    };
+}
+
+function isAbortError(err) {
+    return err?.name === 'AbortError';
+}
+
+// 時価総額・PER などが最初から続けてこの銘柄数失敗したら（API の認証エラーなど）、残りの銘柄では取得しない
+const FUNDAMENTALS_MAX_FAILURES = 5;
+const FUNDAMENTALS_SKIPPED = '続けて取得に失敗したため省略';
+
+/**
+ * 時価総額・PER などを取得できなかった銘柄を1つのメッセージにまとめる（すべて取得できた場合は null）
+ * prices: { コード: fetchClosingPrice の結果 }
+ */
+function summarizeFundamentalsErrors(prices) {
+    const errors = Object.values(prices).map(p => p?.fundamentalsError).filter(Boolean);
+    if (errors.length === 0) return null;
+    const reason = errors.find(e => e !== FUNDAMENTALS_SKIPPED) || errors[0];
+    return `時価総額・PER などを ${errors.length} 銘柄で取得できませんでした（${reason}）`;
+}
+
+/**
+ * 銘柄一覧の終値・変動率を並列に取得し、1銘柄ごとに onResult(stock, prices, series) を呼ぶ
+ * options.periods:     比較期間（取得中に変わらないよう呼び出し側で固定したもの）
+ * options.benchmark:   fetchBenchmark() の結果。あれば超過リターン・ベータ・相関係数を加える
+ * options.fundamentals: 時価総額・PER・PBR なども取得する（失敗は summarizeFundamentalsErrors でまとめる）
+ * options.signal:      中断されると未処理の銘柄を残して終了する（処理中の銘柄は結果に含めない）
+ * options.pauseGate:   一時停止用のゲート（createPauseGate）
+ * options.concurrency: 同時に処理する銘柄数の上限
+ */
+async function fetchPriceBatch(stocks, provider, {
+    targetDateStr,
+    periods = DEFAULT_COMPARISON_PERIODS,
+    benchmark = null,
+    fundamentals = false,
+    signal,
+    pauseGate = createPauseGate(),
+    concurrency = FETCH_WORKERS,
+    onResult,
+}) {
+    let nextIdx = 0;
+    let fundamentalsSucceeded = 0;
+    let fundamentalsFailed = 0;
+    async function worker() {
+        while (true) {
+            await pauseGate.wait();
+            if (signal?.aborted || nextIdx >= stocks.length) return;
+
+            const stock = stocks[nextIdx++];
+            const withFundamentals = fundamentals
+                && (fundamentalsSucceeded > 0 || fundamentalsFailed < FUNDAMENTALS_MAX_FAILURES);
+            let result;
+            try {
+                result = await fetchClosingPrice(stock.ticker, targetDateStr, provider, { signal, periods, fundamentals: withFundamentals });
+            } catch (err) {
+                if (isAbortError(err)) return; // キャンセルされた銘柄は結果に含めない
+                throw err;
+            }
+            if (!result.error && withFundamentals) {
+                if (result.fundamentalsError) fundamentalsFailed++;
+                else fundamentalsSucceeded++;
+            } else if (!result.error && fundamentals) {
+                result.fundamentalsError = FUNDAMENTALS_SKIPPED;
+            }
+            const { series, ...prices } = result;
+            const withBenchmark = benchmark && series
+                ? { ...prices, ...computeRelativeMetrics(prices, series.daily, benchmark, periods) }
+                : prices;
+            onResult(stock, withBenchmark, series || null);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, stocks.length) }, worker));
+}
+
+// ============================================
+// Output Columns
+// ============================================
+
+// 表に表示するXLS列
+const DISPLAY_COLS = [
+    { key: COL.DATE, label: '日付' },
+    { key: COL.CODE, label: 'コード' },
+    { key: COL.NAME, label: '銘柄名' },
+    { key: COL.MARKET, label: '市場・商品区分' },
+    { key: COL.SEC33_NAME, label: '33業種区分' },
+    { key: COL.SEC17_NAME, label: '17業種区分' },
+    { key: COL.SCALE_NAME, label: '規模区分' },
+];
+
+// 追加列（価格取得後に表示）。終値・出来高の後ろに比較期間ごとの変動率列が入る
+// format: 'number' は桁区切り、'percent' は符号付き％で色分けして表示
+const PRICE_COLS = [
+    { key: 'price', label: '終値', format: 'number' },
+    { key: 'volume', label: '出来高', format: 'number' },
+];
+
+const EXTRA_COLS = [
+    { key: 'volumeChange1d', label: '出来高前日比(%)', format: 'percent' },
+    { key: 'vwap', label: 'VWAP', format: 'number' },
+    { key: 'vwapDev', label: 'VWAP乖離率(%)', format: 'percent' },
+];
+
+// バリュエーションの列（表示設定で ON のときだけ取得・表示・CSV 出力）
+// 時価総額〜発行済株式数は取得時点の値。業種内順位は 33業種内の PER・PBR のパーセンタイル（0 が最も割安）
+const FUNDAMENTAL_COLS = [
+    { key: 'marketCap', label: '時価総額(億円)', format: 'number' },
+    { key: 'trailingPE', label: 'PER(実績)', format: 'number' },
+    { key: 'forwardPE', label: 'PER(予想)', format: 'number' },
+    { key: 'priceToBook', label: 'PBR', format: 'number' },
+    { key: 'dividendYield', label: '配当利回り(%)', format: 'number' },
+    { key: 'sharesOutstanding', label: '発行済株式数', format: 'number' },
+    { key: 'perSectorPct', label: 'PER業種内順位(%)', format: 'number' },
+    { key: 'pbrSectorPct', label: 'PBR業種内順位(%)', format: 'number' },
+];
+
+// テクニカル指標の列（表示設定で ON のときだけ表示・CSV 出力）
+const INDICATOR_COLS = [
+    { key: 'ma5', label: '5日移動平均', format: 'number' },
+    { key: 'ma5Dev', label: '5日線乖離率(%)', format: 'percent' },
+    { key: 'ma25', label: '25日移動平均', format: 'number' },
+    { key: 'ma25Dev', label: '25日線乖離率(%)', format: 'percent' },
+    { key: 'ma75', label: '75日移動平均', format: 'number' },
+    { key: 'ma75Dev', label: '75日線乖離率(%)', format: 'percent' },
+    { key: 'rsi14', label: 'RSI(14)', format: 'number' },
+    { key: 'macd', label: 'MACD', format: 'number' },
+    { key: 'macdSignal', label: 'MACDシグナル', format: 'number' },
+    { key: 'bbPercentB', label: 'ボリンジャー%B', format: 'number' },
+    { key: 'high52wDev', label: '52週高値比(%)', format: 'percent' },
+    { key: 'low52wDev', label: '52週安値比(%)', format: 'percent' },
+];
+
+/**
+ * 比較期間ごとの変動率の列
+ */
+function buildPeriodColumns(periods) {
+    return periods.map(p => ({ key: periodKey(p), label: `${periodLabel(p)}(%)`, format: 'percent' }));
+}
+
+/**
+ * ベンチマーク比の列（超過リターン・ベータ・相関係数）
+ */
+function buildBenchmarkColumns(periods) {
+    return [
+        ...periods.map(p => ({ key: `${periodKey(p)}Excess`, label: `${periodLabel(p)} 超過(%)`, format: 'percent' })),
+        { key: 'beta', label: `β(${BENCHMARK_WINDOW}日)`, format: 'number' },
+        { key: 'correlation', label: `相関係数(${BENCHMARK_WINDOW}日)`, format: 'number' },
+    ];
+}
+
+/**
+ * 出力する追加列（終値・出来高 → afterPrice → 比較期間 → 出来高前日比・VWAP・バリュエーション → ベンチマーク比 → テクニカル指標）
+ */
+function buildOutputColumns({ periods, benchmark = false, fundamentals = false, indicators = false, afterPrice = [] }) {
+    return [
+        ...PRICE_COLS,
+        ...afterPrice,
+        ...buildPeriodColumns(periods),
+        ...EXTRA_COLS,
+        ...(fundamentals ? FUNDAMENTAL_COLS : []),
+        ...(benchmark ? buildBenchmarkColumns(periods) : []),
+        ...(indicators ? INDICATOR_COLS : []),
+    ];
+}
+
+// ============================================
+// CSV Output
+// ============================================
+
+/**
+ * XLS の列と追加列を CSV（CRLF 区切り、BOM なし）にする
+ * getValue(col, code) で追加列の値を返す（null / undefined は N/A）
+ */
+function generateCSV(rows, extraCols, getValue) {
+    const lines = [];
+
+    // ヘッダー行
+    const csvHeader = [
+        ...DISPLAY_COLS.map(c => c.label),
+        ...extraCols.map(c => c.label)
+    ];
+    lines.push(csvHeader.join(','));
+
+    // データ行
+    for (const row of rows) {
+        const cells = DISPLAY_COLS.map(col => {
+            let val = String(row[col.key] ?? '').trim();
+            if (col.key === COL.DATE) {
+                const s = val;
+                if (/^\d{8}$/.test(s)) {
+                    val = `${s.substring(0, 4)}/${s.substring(4, 6)}/${s.substring(6, 8)}`;
+                }
+            }
+            // カンマや引用符を含む場合は引用符で囲む
+            if (val.includes(',') || val.includes('"') || val.includes('\n')) {
+                return '"' + val.replace(/"/g, '""') + '"';
+            }
+            return val;
+        });
+
+        const code = String(row[COL.CODE] || '').trim();
+
+        // 終値・変動率・VWAP・テクニカル指標（数値はそのまま、変動率は小数2桁）
+        for (const col of extraCols) {
+            const val = getValue(col, code);
+            if (val !== null && val !== undefined) {
+                cells.push(col.format === 'percent' ? val.toFixed(2) : String(val));
+            } else {
+                cells.push('N/A');
+            }
+        }
+
+        lines.push(cells.join(','));
+    }
+
+    return lines.join('\r\n');
+}
+
+// Node（CLI）から require したときの公開 API
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CORS_PROXY,
+        YAHOO_API_BASE,
+        FETCH_WORKERS,
+        COL,
+        COLUMN_LABELS,
+        PERIOD_TYPES,
+        DEFAULT_COMPARISON_PERIODS,
+        parseXLS,
+        detectColumnMapping,
+        buildXlsData,
+        INPUT_EXTENSIONS,
+        parseInputFile,
+        parseTextInput,
+        extractStockCodes,
+        mergeInputSources,
+        isMasterData,
+        resolveTicker,
+        toTicker,
+        resolveStocks,
+        getUniqueStocks,
+        normalizeTickerOverrides,
+        parseTickerOverrideText,
+        parseTickerOverridesFile,
+        formatTickerOverrideText,
+        getTargetDate,
+        getXlsDate,
+        parseYmd,
+        formatDateStr,
+        ymdToIso,
+        addDaysYmd,
+        addMonthsYmd,
+        tsToJstYmd,
+        jstStartOfDayTs,
+        jstEndOfDayTs,
+        getJstClock,
+        formatJstDateTime,
+        normalizeCalendarUpdate,
+        setCalendarUpdate,
+        isTradingDay,
+        previousTradingDay,
+        isCalendarCovered,
+        normalizePeriod,
+        periodKey,
+        periodLabel,
+        createRequestScheduler,
+        createYahooProvider,
+        createFixtureProvider,
+        createRecordingProvider,
+        createEmptyBundle,
+        mergeBundles,
+        createCachingProvider,
+        buildProvider,
+        fetchClosingPrice,
+        fetchBenchmark,
+        computeSectorPercentiles,
+        createPauseGate,
+        isAbortError,
+        fetchPriceBatch,
+        summarizeFundamentalsErrors,
+        DISPLAY_COLS,
+        buildOutputColumns,
+        generateCSV,
+    };
+}
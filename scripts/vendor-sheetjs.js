@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+// ============================================
+// SheetJS の同梱
+// ============================================
+//
+// package.json で固定した版の SheetJS を node_modules から vendor/sheetjs にコピーする。
+// ページ・Worker・Service Worker はこのファイルを読み込むので、xlsx の版を上げたら
+// npm install の後に実行し直してコミットする。CLI も xlsx をインストールできなかった
+// 場合（cdn.sheetjs.com に接続できず、optionalDependencies の取得を飛ばした場合）はこのファイルを使う。
+//
+//   npm install && npm run vendor
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCE_DIR = path.join(ROOT, 'node_modules', 'xlsx');
+const DEST_DIR = path.join(ROOT, 'vendor', 'sheetjs');
+const FILES = [
+    ['dist/xlsx.full.min.js', 'xlsx.full.min.js'],
+    ['LICENSE', 'LICENSE'],
+];
+
+function main() {
+    const spec = require(path.join(ROOT, 'package.json')).optionalDependencies.xlsx;
+    const expected = (spec.match(/xlsx-(\d+\.\d+\.\d+)\.tgz$/) || [])[1];
+
+    let installed;
+    try {
+        installed = JSON.parse(fs.readFileSync(path.join(SOURCE_DIR, 'package.json'), 'utf8')).version;
+    } catch (err) {
+        console.error('node_modules/xlsx がありません。先に npm install を実行してください。');
+        return 1;
+    }
+    if (expected && installed !== expected) {
+        console.error(`node_modules の xlsx は ${installed} です（package.json の指定は ${expected}）。npm install を実行してください。`);
+        return 1;
+    }
+
+    fs.mkdirSync(DEST_DIR, { recursive: true });
+    for (const [from, to] of FILES) {
+        fs.copyFileSync(path.join(SOURCE_DIR, from), path.join(DEST_DIR, to));
+    }
+    console.log(`SheetJS ${installed} を vendor/sheetjs にコピーしました。`);
+    return 0;
+}
+
+process.exitCode = main();
@@ -0,0 +1,99 @@
+// ============================================
+// kabukaview service worker
+// ============================================
+//
+// アプリ本体（HTML・CSS・JS・同梱の SheetJS）をキャッシュし、オフラインでも開けるようにする。
+// 本体はキャッシュから返しつつ裏でネットワークから更新する（更新は次に開いたときに反映される）。
+// 価格 API・プロキシへのリクエストは扱わない。
+
+// 本体のファイルを追加・削除したら版を上げる
+const CACHE_VERSION = 'v3';
+const SHELL_CACHE = `kabukaview-shell-${CACHE_VERSION}`;
+const FONT_CACHE = `kabukaview-fonts-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'core.js',
+    'cache-db.js',
+    'app.js',
+    'worker.js',
+    'vendor/sheetjs/xlsx.full.min.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-maskable.svg',
+];
+
+// Google Fonts は初回に取得できたものを使い続ける（取得できない環境では代替フォントで表示する）
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (e) => {
+    e.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (e) => {
+    const keep = [SHELL_CACHE, FONT_CACHE];
+    e.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key.startsWith('kabukaview-') && !keep.includes(key)).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * キャッシュを返しつつネットワークから更新する（キャッシュがなければネットワークの応答を返す）
+ */
+async function staleWhileRevalidate(request, cacheKey) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(cacheKey, { ignoreSearch: true });
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(cacheKey, response.clone());
+            return response;
+        });
+
+    if (cached) {
+        update.catch(() => {}); // オフライン時はキャッシュのまま
+        return cached;
+    }
+    return update;
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(FONT_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // フォントは no-cors で読み込まれるため、中身を確認できない応答（opaque）も保存する
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+}
+
+self.addEventListener('fetch', (e) => {
+    const { request } = e;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (FONT_HOSTS.includes(url.hostname)) {
+        e.respondWith(cacheFirst(request));
+        return;
+    }
+    if (url.origin !== self.location.origin) return;
+
+    // ページの表示は常に index.html（クエリ付きで開いた場合も同じ）
+    if (request.mode === 'navigate') {
+        e.respondWith(staleWhileRevalidate(request, 'index.html'));
+        return;
+    }
+    const scope = new URL(self.registration.scope);
+    const path = url.pathname.startsWith(scope.pathname) ? url.pathname.slice(scope.pathname.length) : null;
+    if (path !== null && SHELL_FILES.includes(path)) {
+        e.respondWith(staleWhileRevalidate(request, path));
+    }
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const core = require('../core.js');
+
+const BIN = path.join(__dirname, '..', 'bin', 'kabukaview.js');
+
+// 入力の XLSX を作る（CLI 側は xlsx パッケージがなければ同じ同梱の SheetJS を使う）
+const XLSX = require('../vendor/sheetjs/xlsx.full.min.js');
+
+// 10/15・10/16 の日足（15:00 JST）
+function fixtureEntry(close15, close16) {
+    const bar = (ymd, close) => ({ ts: core.jstEndOfDayTs(ymd) - 9 * 3600, open: close, high: close, low: close, close, volume: 100 });
+    return {
+        daily: { bars: [bar('20261015', close15), bar('20261016', close16)] },
+        intraday: { bars: [] },
+    };
+}
+
+function setup(t, entries) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kabukaview-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, 'fixture.json'), JSON.stringify({ version: 1, entries }));
+    return dir;
+}
+
+function runFetch(dir, inputArgs) {
+    const result = spawnSync(process.execPath, [
+        BIN, 'fetch', ...inputArgs,
+        '--fixture', path.join(dir, 'fixture.json'),
+        '--date', '2026-10-16',
+        '--periods', '1d',
+        '--out', path.join(dir, 'out.csv'),
+        '--report', path.join(dir, 'report.json'),
+        '--quiet',
+    ], { encoding: 'utf8', timeout: 30000 });
+    const read = (file) => (fs.existsSync(path.join(dir, file)) ? fs.readFileSync(path.join(dir, file), 'utf8') : null);
+    return { status: result.status, csv: read('out.csv'), report: JSON.parse(read('report.json')) };
+}
+
+function csvLines(csv) {
+    return csv.replace(/^﻿/, '').trimEnd().split('\r\n');
+}
+
+test('kabukaview fetch: すべて取得できれば終了コード 0', (t) => {
+    const dir = setup(t, { '7203.T': fixtureEntry(1000, 1100), '6758.T': fixtureEntry(4000, 3900) });
+    const { status, csv, report } = runFetch(dir, ['--codes', '7203 6758']);
+
+    assert.equal(status, 0);
+    const lines = csvLines(csv);
+    assert.match(lines[0], /^日付,コード,銘柄名,.*,終値,出来高,前日比\(%\),/);
+    assert.match(lines[1], /^,7203,.*,1100,100,10\.00,/);
+    assert.match(lines[2], /^,6758,.*,3900,100,-2\.50,/);
+
+    assert.equal(report.status, 'ok');
+    assert.equal(report.exitCode, 0);
+    assert.equal(report.provider, 'fixture');
+    assert.equal(report.targetDate, '2026-10-16');
+    assert.deepEqual(report.counts, { rows: 2, stocks: 2, priced: 2, failed: 0, skipped: 0 });
+    assert.deepEqual(report.errors, []);
+    assert.deepEqual(report.inputs.map(s => [s.label, s.kind, s.count]), [['--codes', 'codes', 2]]);
+});
+
+test('kabukaview fetch: 一部の銘柄で失敗すれば終了コード 1 で CSV も出力する', (t) => {
+    const dir = setup(t, { '7203.T': fixtureEntry(1000, 1100) });
+    const { status, csv, report } = runFetch(dir, ['--codes', '7203 6758']);
+
+    assert.equal(status, 1);
+    assert.match(csvLines(csv)[2], /^,6758,.*,N\/A,N\/A,N\/A,/);
+    assert.equal(report.status, 'partial');
+    assert.equal(report.counts.failed, 1);
+    assert.deepEqual(report.errors.map(e => [e.code, e.ticker, e.error]), [['6758', '6758.T', 'フィクスチャなし']]);
+});
+
+test('kabukaview fetch: 1銘柄も取得できなければ終了コード 4', (t) => {
+    const dir = setup(t, {});
+    const { status, report } = runFetch(dir, ['--codes', '7203 6758']);
+
+    assert.equal(status, 4);
+    assert.equal(report.status, 'failed');
+    assert.equal(report.counts.priced, 0);
+});
+
+test('kabukaview fetch: 入力がなければ終了コード 2', () => {
+    const result = spawnSync(process.execPath, [BIN, 'fetch', '--quiet'], { encoding: 'utf8', timeout: 30000 });
+    const report = JSON.parse(result.stderr);
+
+    assert.equal(result.status, 2);
+    assert.equal(report.status, 'usage');
+});
+
+test('kabukaview fetch: 表と --codes の入力を1つの一覧にまとめる', (t) => {
+    const dir = setup(t, { '7203.T': fixtureEntry(1000, 1100), '6758.T': fixtureEntry(4000, 3900) });
+    fs.writeFileSync(path.join(dir, 'list.csv'), [
+        '日付,コード,銘柄名,市場・商品区分',
+        '2026/10/01,7203,トヨタ自動車,プライム（内国株式）',
+    ].join('\r\n'));
+    const { status, csv, report } = runFetch(dir, [path.join(dir, 'list.csv'), '--codes', '6758']);
+
+    assert.equal(status, 0);
+    const lines = csvLines(csv);
+    assert.match(lines[1], /^2026\/10\/01,7203,トヨタ自動車,プライム（内国株式）,.*,1100,100,10\.00,/);
+    assert.match(lines[2], /^,6758,.*,3900,100,-2\.50,/);
+    assert.deepEqual(report.inputs.map(s => [s.label, s.kind, s.count]), [['list.csv', 'table', 1], ['--codes', 'codes', 1]]);
+    assert.deepEqual(report.unmatched.map(u => u.code), ['7203', '6758']);
+});
+
+test('kabukaview fetch: XLSX の銘柄一覧を読み込む', (t) => {
+    const dir = setup(t, { '7203.T': fixtureEntry(1000, 1100), '6758.T': fixtureEntry(4000, 3900) });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+        ['日付', 'コード', '銘柄名', '市場・商品区分', '33業種区分'],
+        ['20261001', '7203', 'トヨタ自動車', 'プライム（内国株式）', '輸送用機器'],
+        ['20261001', '6758', 'ソニーグループ', 'プライム（内国株式）', '電気機器'],
+    ]), 'Sheet1');
+    fs.writeFileSync(path.join(dir, 'data_j.xlsx'), XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+    const { status, csv, report } = runFetch(dir, [path.join(dir, 'data_j.xlsx')]);
+
+    assert.equal(status, 0);
+    const lines = csvLines(csv);
+    assert.match(lines[1], /^2026\/10\/01,7203,トヨタ自動車,プライム（内国株式）,輸送用機器,.*,1100,100,10\.00,/);
+    assert.match(lines[2], /^2026\/10\/01,6758,ソニーグループ,プライム（内国株式）,電気機器,.*,3900,100,-2\.50,/);
+    assert.deepEqual(report.inputs.map(s => [s.label, s.kind, s.count, s.master]), [['data_j.xlsx', 'table', 2, true]]);
+    assert.deepEqual(report.unmatched, []);
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+
+const { COL } = core;
+
+test('detectColumnMapping: タイトル行の下の見出しと表記ゆれを認識する', () => {
+    const table = [
+        ['保有銘柄一覧'],
+        [''],
+        ['証券コード', '銘柄 名', 'ＭＡＲＫＥＴ', '33業種', 'メモ'],
+        ['7203', 'トヨタ自動車', 'プライム', '輸送用機器', ''],
+    ];
+    const detected = core.detectColumnMapping(table);
+
+    assert.equal(detected.headerRowIdx, 2);
+    assert.deepEqual(detected.mapping, { CODE: 0, NAME: 1, MARKET: 2, SEC33_NAME: 3 });
+    assert.deepEqual(detected.missing, []);
+});
+
+test('detectColumnMapping: 英語版の JPX 一覧の見出しを認識する', () => {
+    const detected = core.detectColumnMapping([
+        ['Effective Date', 'Local Code', 'Name (English)', 'Section/Products', '33 Sector(Code)', '33 Sector(Name)'],
+    ]);
+    assert.deepEqual(detected.mapping, { DATE: 0, CODE: 1, NAME: 2, MARKET: 3, SEC33_CODE: 4, SEC33_NAME: 5 });
+});
+
+test('detectColumnMapping: 必須列がなければ missing に入れる', () => {
+    const detected = core.detectColumnMapping([['コード', '数量'], ['7203', '100']]);
+    assert.deepEqual(detected.missing, ['NAME']);
+});
+
+test('buildXlsData: 列を組み替え、空・重複・銘柄名なしの行を読み飛ばす', () => {
+    const table = [
+        ['銘柄名', 'コード', '日付'],
+        ['トヨタ自動車', '7203', '2026/10/16'],
+        ['', '', ''],
+        ['', '6758', '2026/10/16'],
+        ['重複', '7203', '2026/10/16'],
+        ['極洋', '1301', '2026年10月1日'],
+    ];
+    const data = core.buildXlsData(table, 0, { NAME: 0, CODE: 1, DATE: 2 }, 'Sheet1');
+
+    assert.deepEqual(data.rows.map(r => [r[COL.CODE], r[COL.NAME], r[COL.DATE]]), [
+        ['7203', 'トヨタ自動車', '20261016'],
+        ['1301', '極洋', '20261001'],
+    ]);
+    assert.deepEqual(data.skipped.map(s => s.row), [4, 5]);
+    assert.throws(() => core.buildXlsData(table, 0, { CODE: 1 }), /必須列/);
+});
+
+test('mergeInputSources: コードだけの入力を JPX の一覧で補完する', () => {
+    const masterTable = [
+        ['日付', 'コード', '銘柄名', '市場・商品区分', '33業種区分'],
+        ['20261001', '7203', 'トヨタ自動車', 'プライム（内国株式）', '輸送用機器'],
+        ['20261001', '1301', '極洋', 'プライム（内国株式）', '水産・農林業'],
+    ];
+    const master = core.buildXlsData(masterTable, 0, { DATE: 0, CODE: 1, NAME: 2, MARKET: 3, SEC33_NAME: 4 });
+
+    const merged = core.mergeInputSources([
+        { label: 'memo.txt', kind: 'codes', codes: ['1301', '9999'], skipped: [] },
+        { label: 'data_j.xls', kind: 'table', data: master },
+    ]);
+
+    assert.deepEqual(merged.rows.map(r => [r[COL.CODE], r[COL.NAME]]), [['1301', '極洋'], ['9999', '']]);
+    assert.deepEqual(merged.unmatched, [{ code: '9999', source: 'memo.txt' }]);
+    assert.equal(merged.master, 'data_j.xls');
+});
+
+test('generateCSV: 値のない列は N/A、変動率は小数2桁で出力する', () => {
+    const row = new Array(Object.keys(COL).length).fill('');
+    row[COL.CODE] = '7203';
+    row[COL.NAME] = 'トヨタ, 自動車';
+    const columns = core.buildOutputColumns({ periods: [{ type: 'tradingDays', n: 1 }] });
+    const values = { price: 3000, change1d: 1.5 };
+    const csv = core.generateCSV([row], columns, (col) => values[col.key]);
+    const [header, line] = csv.split('\r\n');
+
+    assert.match(header, /終値,出来高,前日比\(%\)/);
+    assert.match(line, /"トヨタ, 自動車"/);
+    assert.match(line, /,3000,N\/A,1\.50,/);
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+
+// JST の日時を Date にする（実行環境のタイムゾーンに依存しない）
+const jst = (y, m, d, hh = 0, mm = 0) => new Date(Date.UTC(y, m - 1, d, hh - 9, mm));
+
+test('isTradingDay: 土日・祝日・年末年始は休場日', () => {
+    assert.equal(core.isTradingDay('20261016'), true);  // 金曜
+    assert.equal(core.isTradingDay('20261017'), false); // 土曜
+    assert.equal(core.isTradingDay('20261012'), false); // スポーツの日
+    assert.equal(core.isTradingDay('20261231'), false);
+    assert.equal(core.isTradingDay('20260102'), false);
+    assert.equal(core.isTradingDay('20261230'), true);
+});
+
+test('previousTradingDay: 連休・年末年始をさかのぼる', () => {
+    assert.equal(core.previousTradingDay('20260105'), '20251230');
+    assert.equal(core.previousTradingDay('20261013'), '20261009');
+    assert.equal(core.previousTradingDay('20261016', { inclusive: true }), '20261016');
+    assert.equal(core.previousTradingDay('20261018', { inclusive: true }), '20261016');
+});
+
+test('getTargetDate: 大引け後は当日、それ以前は直前の営業日', () => {
+    assert.equal(core.getTargetDate(jst(2026, 10, 16, 15, 30)), '20261016');
+    assert.equal(core.getTargetDate(jst(2026, 10, 16, 15, 29)), '20261015');
+    assert.equal(core.getTargetDate(jst(2026, 10, 16, 8, 0)), '20261015');
+});
+
+test('getTargetDate: 2024/11/5 より前の大引けは 15:00', () => {
+    assert.equal(core.getTargetDate(jst(2024, 11, 1, 15, 10)), '20241101');
+    // 11/5 は 15:30 が大引け（11/4 は休場）
+    assert.equal(core.getTargetDate(jst(2024, 11, 5, 15, 10)), '20241101');
+    assert.equal(core.getTargetDate(jst(2024, 11, 5, 15, 30)), '20241105');
+});
+
+test('getTargetDate: 休場日と日付の境目は JST で判定する', () => {
+    // UTC では金曜だが JST では土曜の早朝
+    assert.equal(core.getTargetDate(new Date(Date.UTC(2026, 9, 16, 20, 0))), '20261016');
+    // 月曜の寄り付き前（UTC では日曜）
+    assert.equal(core.getTargetDate(new Date(Date.UTC(2026, 9, 18, 23, 30))), '20261016');
+    assert.equal(core.getTargetDate(jst(2026, 1, 1, 12, 0)), '20251230');
+});
+
+test('setCalendarUpdate: 読み込んだ休場日・臨時営業日を反映する', (t) => {
+    t.after(() => core.setCalendarUpdate(null));
+    core.setCalendarUpdate(core.normalizeCalendarUpdate({
+        holidays: ['2028-01-03', '20280110'],
+        openDays: ['2026-10-17'],
+    }));
+
+    assert.equal(core.isTradingDay('20280110'), false);
+    assert.equal(core.isTradingDay('20261017'), true);
+    assert.equal(core.isCalendarCovered('20281231'), true);
+    assert.throws(() => core.normalizeCalendarUpdate({ holidays: ['2028/1/3'] }), /日付の形式/);
+});
+
+test('getXlsDate: 最も多い日付を基準日にする', () => {
+    const row = (date) => {
+        const r = new Array(Object.keys(core.COL).length).fill('');
+        r[core.COL.DATE] = date;
+        return r;
+    };
+    assert.equal(core.getXlsDate([row('20261016'), row('20261016'), row('20261015'), row('')]), '20261016');
+    assert.equal(core.getXlsDate([row('')]), null);
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+
+// 2025/12/1〜2026/10/16 の営業日の日足（15:00 JST）。終値は既定 1000、closes で日ごとに上書きする
+function dailyBars(closes = {}, volumes = {}) {
+    const bars = [];
+    for (let ymd = '20251201'; ymd <= '20261016'; ymd = core.addDaysYmd(ymd, 1)) {
+        if (!core.isTradingDay(ymd)) continue;
+        const close = closes[ymd] ?? 1000;
+        bars.push({
+            ts: core.jstEndOfDayTs(ymd) - 9 * 3600, open: close, high: close, low: close, close,
+            volume: volumes[ymd] ?? 100,
+        });
+    }
+    return bars;
+}
+
+function fixtureProvider(entry) {
+    return core.createFixtureProvider({ entries: { '7203.T': entry } });
+}
+
+const closes = { '20261016': 1100, '20261009': 880, '20251230': 1375 };
+const intraday = {
+    bars: [
+        { ts: core.jstStartOfDayTs('20261016') + 10 * 3600, high: 1100, low: 1100, close: 1100, volume: 100 },
+        { ts: core.jstStartOfDayTs('20261016') + 14 * 3600, high: 1000, low: 1000, close: 1000, volume: 100 },
+    ],
+};
+
+test('fetchClosingPrice: 比較期間ごとに起点日の終値と比べる', async () => {
+    const provider = fixtureProvider({ daily: { bars: dailyBars(closes, { '20261016': 150 }) }, intraday });
+    const periods = [
+        { type: 'tradingDays', n: 1 },
+        { type: 'weeks', n: 1 },
+        { type: 'months', n: 1 },
+        { type: 'ytd' },
+        { type: 'since', date: '20261009' },
+    ];
+    const result = await core.fetchClosingPrice('7203.T', '20261016', provider, { periods });
+
+    assert.equal(result.error, null);
+    assert.equal(result.actualDate, '2026/10/16');
+    assert.equal(result.price, 1100);
+    assert.equal(result.prevClose, 1000);
+    assert.equal(result.change1d, 10);
+    assert.equal(result.change1w, 25);          // 10/9 の終値と比較
+    assert.equal(result.change1m, 10);
+    assert.equal(result.changeYtd, -20);        // 12/31 は休場のため 12/30 の終値と比較
+    assert.equal(result.changeSince20261009, 25);
+    assert.equal(result.volumeChange1d, 50);
+    assert.equal(result.vwap, 1050);
+    assert.equal(result.vwapDev, 4.76);
+    assert.equal(result.series.daily.at(-1).close, 1100);
+});
+
+test('fetchClosingPrice: 休場日を指定すると直前の営業日の終値を使う', async () => {
+    const provider = fixtureProvider({ daily: { bars: dailyBars(closes) }, intraday: { bars: [] } });
+    const result = await core.fetchClosingPrice('7203.T', '20261012', provider, { periods: [{ type: 'tradingDays', n: 1 }] });
+
+    assert.equal(result.actualDate, '2026/10/09');
+    assert.equal(result.price, 880);
+    assert.equal(result.change1d, -12);
+});
+
+test('fetchClosingPrice: 営業日指定で日足の本数が足りなければ null', async () => {
+    const provider = fixtureProvider({ daily: { bars: dailyBars(closes) }, intraday: { bars: [] } });
+    const result = await core.fetchClosingPrice('7203.T', '20261016', provider, {
+        periods: [{ type: 'tradingDays', n: 999 }],
+    });
+
+    assert.equal(result.error, null);
+    assert.equal(result.change999d, null);
+    assert.equal(result.prevClose, 1000); // 比較期間の設定に関係なく前営業日の終値
+});
+
+test('fetchClosingPrice: 日足がなければ銘柄ごとのエラーにする', async () => {
+    const noBars = await core.fetchClosingPrice('7203.T', '20261016', fixtureProvider({ daily: { bars: [] } }));
+    assert.equal(noBars.error, 'チャートデータなし');
+    assert.equal(noBars.price, null);
+
+    const invalid = await core.fetchClosingPrice(null, '20261016', fixtureProvider({}));
+    assert.equal(invalid.error, '無効なティッカー');
+});
+
+test('normalizePeriod / periodKey / periodLabel', () => {
+    assert.deepEqual(core.normalizePeriod({ type: 'months', n: '3' }), { type: 'months', n: 3 });
+    assert.equal(core.normalizePeriod({ type: 'months', n: 0 }), null);
+    assert.equal(core.normalizePeriod({ type: 'since', date: 'x' }), null);
+    assert.equal(core.normalizePeriod({ type: 'unknown' }), null);
+    assert.equal(core.periodKey({ type: 'months', n: 12 }), 'change12m');
+    assert.equal(core.periodLabel({ type: 'months', n: 12 }), '1年比');
+    assert.equal(core.periodLabel({ type: 'tradingDays', n: 1 }), '前日比');
+});
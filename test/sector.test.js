@@ -0,0 +1,83 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+
+const { COL } = core;
+
+function row(code, sector) {
+    const r = new Array(Object.keys(COL).length).fill('');
+    r[COL.CODE] = code;
+    r[COL.SEC33_NAME] = sector;
+    return r;
+}
+
+test('computeSectorPercentiles: 業種内の PER・PBR の順位を 0〜100 で返す', () => {
+    const rows = [
+        row('1001', '銀行業'), row('1002', '銀行業'), row('1003', '銀行業'), row('1004', '銀行業'), row('1005', '銀行業'),
+        row('2001', '水産・農林業'),
+        row('3001', ''), row('3002', ''),
+        row('9999', '銀行業'),
+    ];
+    const prices = {
+        1001: { trailingPE: 5, priceToBook: 0.5 },
+        1002: { trailingPE: 10, priceToBook: 1 },
+        1003: { trailingPE: 10, priceToBook: null },
+        1004: { trailingPE: 20, priceToBook: -1 },
+        1005: { trailingPE: -3, priceToBook: 2 },
+        2001: { trailingPE: 8, priceToBook: 1 },
+        3001: { trailingPE: 8, priceToBook: 1 },
+        3002: { trailingPE: 9, priceToBook: 2 },
+    };
+    const result = core.computeSectorPercentiles(rows, prices);
+
+    // 同じ PER の 1002・1003 は平均順位
+    assert.deepEqual(result['1001'], { perSectorPct: 0, pbrSectorPct: 0 });
+    assert.deepEqual(result['1002'], { perSectorPct: 50, pbrSectorPct: 50 });
+    assert.deepEqual(result['1003'], { perSectorPct: 50, pbrSectorPct: null });
+    assert.deepEqual(result['1004'], { perSectorPct: 100, pbrSectorPct: null });
+    assert.deepEqual(result['1005'], { perSectorPct: null, pbrSectorPct: 100 });
+    // 比べる銘柄がない業種・業種が空欄
+    assert.deepEqual(result['2001'], { perSectorPct: null, pbrSectorPct: null });
+    assert.deepEqual(result['3001'], { perSectorPct: null, pbrSectorPct: null });
+    // 取得結果のない銘柄は含めない
+    assert.equal('9999' in result, false);
+});
+
+test('summarizeFundamentalsErrors: 失敗を1つのメッセージにまとめる', () => {
+    assert.equal(core.summarizeFundamentalsErrors({ 1001: { trailingPE: 5 } }), null);
+    assert.equal(
+        core.summarizeFundamentalsErrors({
+            1001: { fundamentalsError: '続けて取得に失敗したため省略' },
+            1002: { fundamentalsError: 'HTTP 401' },
+            1003: { trailingPE: 5 },
+        }),
+        '時価総額・PER などを 2 銘柄で取得できませんでした（HTTP 401）'
+    );
+});
+
+test('fetchPriceBatch: バリュエーションが続けて失敗したら残りの銘柄では取得しない', async () => {
+    const bars = [{ ts: core.jstEndOfDayTs('20261016') - 9 * 3600, close: 1000, volume: 100 }];
+    let fundamentalsCalls = 0;
+    const provider = {
+        async fetchDaily() { return { bars, meta: {} }; },
+        async fetchIntraday() { return { bars: [], meta: {} }; },
+        async fetchFundamentals() { fundamentalsCalls++; throw new Error('HTTP 401'); },
+    };
+    const stocks = Array.from({ length: 20 }, (_, i) => ({ code: String(1001 + i), ticker: `${1001 + i}.T` }));
+    const prices = {};
+
+    await core.fetchPriceBatch(stocks, provider, {
+        targetDateStr: '20261016',
+        periods: [{ type: 'tradingDays', n: 1 }],
+        fundamentals: true,
+        concurrency: 1,
+        onResult: (stock, result) => { prices[stock.code] = result; },
+    });
+
+    assert.equal(fundamentalsCalls, 5);
+    assert.equal(Object.keys(prices).length, 20);
+    assert.ok(Object.values(prices).every(p => p.error === null && p.fundamentalsError));
+    assert.match(core.summarizeFundamentalsErrors(prices), /20 銘柄.*HTTP 401/);
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+
+test('resolveTicker: 4桁・英字入り・5桁のコードに .T を付ける', () => {
+    assert.equal(core.toTicker('1301'), '1301.T');
+    assert.equal(core.toTicker('130A'), '130A.T');
+    assert.equal(core.toTicker(' 130a '), '130A.T');
+    assert.equal(core.toTicker('25935'), '25935.T');
+});
+
+test('resolveTicker: 市場区分から取引所のサフィックスを決める', () => {
+    assert.equal(core.toTicker('8881', '名証メイン'), '8881.N');
+    assert.equal(core.toTicker('8881', '札証'), '8881.S');
+    assert.equal(core.toTicker('8881', '福証Q-Board'), '8881.F');
+    assert.equal(core.toTicker('7203', 'プライム（内国株式）'), '7203.T');
+});
+
+test('resolveTicker: 取得できないコード・市場区分は理由を返す', () => {
+    const pro = core.resolveTicker('9999', 'TOKYO PRO Market');
+    assert.equal(pro.ticker, null);
+    assert.match(pro.reason, /PRO Market/);
+
+    assert.equal(core.resolveTicker('').ticker, null);
+    assert.equal(core.resolveTicker('ABCD').ticker, null);
+    assert.equal(core.resolveTicker('123').ticker, null);
+});
+
+test('resolveTicker: 上書き設定を市場区分より優先する', () => {
+    const overrides = core.normalizeTickerOverrides({ '9999': '9999.N', '130a': '' });
+    assert.equal(core.toTicker('9999', 'TOKYO PRO Market', overrides), '9999.N');
+
+    const skipped = core.resolveTicker('130A', '', overrides);
+    assert.equal(skipped.ticker, null);
+    assert.match(skipped.reason, /上書き/);
+});
+
+test('resolveStocks: 重複を除き、取得対象外の銘柄を分ける', () => {
+    const row = (code, name, market = 'プライム（内国株式）') => {
+        const r = new Array(Object.keys(core.COL).length).fill('');
+        r[core.COL.CODE] = code;
+        r[core.COL.NAME] = name;
+        r[core.COL.MARKET] = market;
+        return r;
+    };
+    const { stocks, skipped } = core.resolveStocks([
+        row('7203', 'トヨタ自動車'),
+        row('7203', 'トヨタ自動車'),
+        row('9999', 'プロ', 'TOKYO PRO Market'),
+        row('', '空'),
+    ]);
+
+    assert.deepEqual(stocks, [{ ticker: '7203.T', rawCode: '7203', name: 'トヨタ自動車' }]);
+    assert.equal(skipped.length, 1);
+    assert.equal(skipped[0].rawCode, '9999');
+});
+
+test('parseTickerOverrideText: 「コード,シンボル」の行を読む', () => {
+    const overrides = core.parseTickerOverrideText('# コメント\n7203,7203.T\n130a,-\n');
+    assert.equal(overrides['7203'], '7203.T');
+    assert.equal(overrides['130A'], '');
+});
@@ -0,0 +1,108 @@
+// ============================================
+// kabukaview worker
+// ============================================
+//
+// 入力ファイル（XLS・CSV など）の解析と終値・変動率の取得（指標の計算を含む）をページのスレッドから切り離して実行する。
+// 処理は core.js と同じ関数を使い、進捗と途中結果はメッセージで逐次ページに返す。
+//
+// ページ → Worker:
+//   { type: 'parse', id, buffer, fileName }
+//   { type: 'fetch', id, stocks, targetDateStr, periods, benchmark, fundamentals, provider, calendarUpdate, record }
+//   { type: 'pause' | 'resume' | 'cancel', id }
+// Worker → ページ:
+//   { type: 'ready' }
+//   { type: 'parsed', id, data }
+//   { type: 'result', id, stock, result }（チャート用の足データはページで必要なときに取得するので送らない）
+//   { type: 'stats', id, stats }
+//   { type: 'done', id, recorded }
+//   { type: 'error', id, message, detection }
+
+importScripts(
+    'vendor/sheetjs/xlsx.full.min.js',
+    'core.js',
+    'cache-db.js'
+);
+
+// 取得の間隔・並列数は Worker 内の取得全体で共有する
+const scheduler = createRequestScheduler();
+const STATS_INTERVAL_MS = 1000;
+
+// 実行中の取得 id → { abortController, pauseGate }
+const runs = new Map();
+
+function postError(id, err) {
+    self.postMessage({ type: 'error', id, message: err.message, detection: err.detection || null });
+}
+
+function handleParse({ id, buffer, fileName }) {
+    try {
+        self.postMessage({ type: 'parsed', id, data: parseInputFile(buffer, fileName) });
+    } catch (err) {
+        postError(id, err);
+    }
+}
+
+async function handleFetch({ id, stocks, targetDateStr, periods, benchmark, fundamentals, provider: config, calendarUpdate, record }) {
+    const abortController = new AbortController();
+    const pauseGate = createPauseGate();
+    runs.set(id, { abortController, pauseGate });
+
+    const recorded = record ? createEmptyBundle() : null;
+    const postStats = () => self.postMessage({ type: 'stats', id, stats: scheduler.getStats() });
+    const statsTimer = setInterval(postStats, STATS_INTERVAL_MS);
+
+    try {
+        setCalendarUpdate(calendarUpdate);
+        const provider = buildProvider(config, {
+            scheduler,
+            cache: config.useCache && isHistoryCacheAvailable() ? getProviderCache() : null,
+            recordingBundle: recorded
+        });
+        await fetchPriceBatch(stocks, provider, {
+            targetDateStr,
+            periods,
+            benchmark,
+            fundamentals,
+            signal: abortController.signal,
+            pauseGate,
+            onResult(stock, result) {
+                self.postMessage({ type: 'result', id, stock, result });
+            }
+        });
+        postStats();
+        self.postMessage({ type: 'done', id, recorded });
+    } catch (err) {
+        postError(id, err);
+    } finally {
+        clearInterval(statsTimer);
+        runs.delete(id);
+    }
+}
+
+self.addEventListener('message', (e) => {
+    const message = e.data;
+    const run = runs.get(message.id);
+    switch (message.type) {
+        case 'parse':
+            handleParse(message);
+            break;
+        case 'fetch':
+            handleFetch(message);
+            break;
+        case 'pause':
+            if (run) run.pauseGate.pause();
+            break;
+        case 'resume':
+            if (run) run.pauseGate.resume();
+            break;
+        case 'cancel':
+            if (run) {
+                run.abortController.abort();
+                // 一時停止中でもループを抜けられるようにする
+                run.pauseGate.resume();
+            }
+            break;
+    }
+});
+
+self.postMessage({ type: 'ready' });